@@ -0,0 +1,289 @@
+/**
+ * OneTap Reply Background Service Worker
+ * Owns every AI provider call so API keys never enter the page context
+ */
+
+importScripts('settings.js', 'providers.js', 'parser.js');
+
+class OneTapBackground {
+    constructor() {
+        // Per-attempt request timeout and retry policy shared by all tabs
+        this.requestTimeout = 10000;
+        this.maxRetries = 1;
+        this.retryDelay = 1000;
+
+        this.init();
+    }
+
+    /**
+     * Listen for messages from content scripts
+     */
+    init() {
+        chrome.runtime.onInstalled.addListener(() => {
+            OneTapSettings.migrate().catch(error => {
+                console.warn('[OneTap Reply] Settings migration failed:', error);
+            });
+        });
+
+        // Keyboard shortcut: the tab decides which comment box is focused
+        chrome.commands.onCommand.addListener((command, tab) => {
+            if (command === 'open-reply-panel' && tab?.id !== undefined) {
+                chrome.tabs.sendMessage(tab.id, { type: 'openReplyPanel' }).catch(() => {
+                    // No content script on this page
+                });
+            }
+        });
+
+        // API keys older versions left in a page's localStorage, handed over by the content script
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.type !== 'importLegacyKey') return;
+
+            OneTapSettings.importLegacyKey(message.token)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+        });
+
+        // Generation runs over a port so replies can stream back and the tab can stop it
+        chrome.runtime.onConnect.addListener(port => {
+            if (port.name === 'generateReplies') {
+                this.handleGenerationPort(port);
+            }
+        });
+    }
+
+    /**
+     * Serve one generation request over a port, streaming each reply as it completes
+     */
+    handleGenerationPort(port) {
+        const controller = new AbortController();
+        port.onDisconnect.addListener(() => controller.abort());
+
+        port.onMessage.addListener(message => {
+            if (message.type === 'stop') {
+                controller.abort();
+                return;
+            }
+
+            if (message.type !== 'generate') return;
+
+            this.generateReplies(message.prompt, message.count, {
+                signal: controller.signal,
+                maxLength: message.maxLength,
+                minLength: message.minLength,
+                userText: message.userText,
+                onReply: (reply, index) => this.postToPort(port, { type: 'reply', reply, index })
+            })
+                .then(replies => this.postToPort(port, { type: 'done', replies }))
+                .catch(error => this.postToPort(port, { type: 'error', error: error.message }));
+        });
+    }
+
+    /**
+     * Post to a port that the tab may already have closed
+     */
+    postToPort(port, message) {
+        try {
+            port.postMessage(message);
+        } catch (e) {
+            // Tab navigated away or the panel was closed
+        }
+    }
+
+    /**
+     * Generate replies for a prompt, walking the user-ordered provider chain
+     */
+    async generateReplies(prompt, count = 3, { signal, onReply = () => {}, maxLength, minLength, userText } = {}) {
+        // Settings are read per request so popup changes apply immediately
+        const settings = await OneTapSettings.load();
+        const chain = settings.providers.filter(provider => provider.enabled && OneTapProviders.isConfigured(provider));
+
+        if (chain.length === 0) {
+            throw new Error('No AI provider configured. Add an API key or local endpoint in the OneTap Reply popup.');
+        }
+
+        const failures = [];
+        for (const provider of chain) {
+            if (signal?.aborted) throw new Error('Generation stopped');
+
+            try {
+                return await this.callWithRetry(provider, prompt, count, { signal, onReply, maxLength, minLength, userText });
+            } catch (error) {
+                // Keep whatever already reached the panel instead of starting over elsewhere
+                if (error.partialReplies?.length > 0) {
+                    return error.partialReplies;
+                }
+
+                console.warn(`[OneTap Reply] ${provider.label} failed, trying next provider:`, error);
+                failures.push(`${provider.label}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All providers failed (${failures.join('; ')})`);
+    }
+
+    /**
+     * Call an API, retrying transient failures (timeouts, rate limits, server errors)
+     */
+    async callWithRetry(provider, prompt, count, options) {
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                return await this.callAIAPI(provider, prompt, count, options);
+            } catch (error) {
+                lastError = error;
+
+                // Retrying after replies were streamed would show duplicates
+                if (!error.retryable || error.partialReplies?.length > 0 || attempt === this.maxRetries) break;
+
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * (attempt + 1)));
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Call a provider through its adapter and parse the reply candidates.
+     * Streaming adapters report each reply through onReply as soon as it is complete.
+     * Replies longer than maxLength, the limit the prompt asked for, or shorter than minLength
+     * are rejected; userText is user-written text quoted in the prompt that replies may repeat.
+     */
+    async callAIAPI(provider, prompt, count, { signal, onReply = () => {}, maxLength, minLength, userText = [] } = {}) {
+        const adapter = OneTapProviders.get(provider.type);
+        const parseOptions = {
+            prompt,
+            userText,
+            minLength,
+            count,
+            maxLength: maxLength || OneTapReplyParser.defaultMaxLength
+        };
+        const stream = typeof adapter.parseStreamChunk === 'function';
+        const request = adapter.buildRequest(prompt, provider, {
+            stream,
+            maxTokens: OneTapProviders.getMaxTokens(count, parseOptions.maxLength)
+        });
+        const emitted = [];
+
+        const emit = (replies) => {
+            for (let i = emitted.length; i < replies.length; i++) {
+                emitted.push(replies[i]);
+                onReply(replies[i], i);
+            }
+        };
+
+        // The timeout restarts with every streamed chunk, so slow but steady models are not cut off
+        const controller = new AbortController();
+        let timedOut = false;
+        let timeoutId;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.requestTimeout);
+        };
+        const stopRequest = () => controller.abort();
+
+        signal?.addEventListener('abort', stopRequest);
+        resetTimeout();
+
+        try {
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...OneTapProviders.buildAuthHeaders(adapter, provider.apiKey),
+                    ...request.headers
+                },
+                body: JSON.stringify(request.body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`API Error: ${response.status} ${response.statusText}`);
+                error.retryable = response.status === 429 || response.status >= 500;
+                throw error;
+            }
+
+            let content;
+            if (stream) {
+                content = await this.readStream(response, adapter, text => {
+                    resetTimeout();
+                    emit(OneTapReplyParser.parsePartial(text, parseOptions));
+                });
+            } else {
+                content = adapter.parseResponse(await response.json());
+            }
+
+            // Final parse picks up the last reply, which has no closing delimiter while streaming
+            const remaining = OneTapReplyParser.parse(content, parseOptions)
+                .filter(reply => !emitted.includes(reply));
+            emit([...emitted, ...remaining].slice(0, count));
+
+            // Let the chain move on when a model only returns prompt echo or junk
+            if (emitted.length === 0) {
+                throw new Error('Response contained no usable replies');
+            }
+
+            return emitted;
+
+        } catch (error) {
+            let failure = error;
+
+            if (error.name === 'AbortError') {
+                failure = new Error(timedOut
+                    ? `${provider.label} timed out after ${this.requestTimeout / 1000}s without output`
+                    : 'Generation stopped');
+                failure.retryable = timedOut;
+            } else if (error instanceof TypeError) {
+                // Network failure
+                error.retryable = true;
+            }
+
+            failure.partialReplies = [...emitted];
+            throw failure;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', stopRequest);
+        }
+    }
+
+    /**
+     * Read a streamed response line by line, reporting the accumulated text after each chunk
+     */
+    async readStream(response, adapter, onText) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const consumeLine = (line) => {
+            const delta = adapter.parseStreamChunk(line.trim());
+            if (delta) {
+                text += delta;
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(consumeLine);
+
+            onText(text);
+        }
+
+        if (buffer.trim()) {
+            consumeLine(buffer);
+        }
+
+        return text;
+    }
+}
+
+new OneTapBackground();
@@ -0,0 +1,124 @@
+/**
+ * OneTap Reply Diagnostics
+ * Self-test for a platform adapter's selectors, used to spot markup changes and file breakage reports
+ */
+
+const OneTapDiagnostics = {
+    // Context fields reported as empty when extraction finds nothing
+    contextFields: {
+        postTitle: context => context.postTitle,
+        postContent: context => context.postContent,
+        author: context => context.authorInfo && context.authorInfo.name,
+        existingComments: context => context.existingComments && context.existingComments.length
+    },
+
+    /**
+     * Match count of every selector in every named list, and the first one that matched
+     */
+    inspectSelectors(adapter, root = document) {
+        const results = {};
+
+        Object.entries(adapter.selectors).forEach(([name, selectors]) => {
+            const checks = selectors.map(selector => {
+                try {
+                    return { selector, count: root.querySelectorAll(selector).length };
+                } catch (e) {
+                    return { selector, count: 0, error: 'invalid selector' };
+                }
+            });
+            const matched = checks.find(check => check.count > 0);
+
+            results[name] = { matched: matched ? matched.selector : null, checks };
+        });
+
+        return results;
+    },
+
+    /**
+     * Comment boxes on the page, each with the selector that found it
+     */
+    inspectCommentBoxes(adapter, root = document) {
+        const boxes = [];
+
+        adapter.selectors.commentBox.forEach(selector => {
+            try {
+                root.querySelectorAll(selector).forEach(element => {
+                    if (!boxes.some(box => box.element === element)) {
+                        boxes.push({ element, selector });
+                    }
+                });
+            } catch (e) {
+                // Reported as invalid by inspectSelectors
+            }
+        });
+
+        return boxes;
+    },
+
+    /**
+     * Context fields that came back empty
+     */
+    findEmptyFields(context) {
+        return Object.entries(this.contextFields)
+            .filter(([, read]) => !read(context))
+            .map(([name]) => name);
+    },
+
+    /**
+     * Everything needed to describe the page in a breakage report. The URL is cut
+     * to origin and path so query strings do not leak into shared reports.
+     */
+    buildReport(adapter, context, commentBoxes = this.inspectCommentBoxes(adapter)) {
+        return {
+            version: chrome.runtime.getManifest().version,
+            page: `${window.location.origin}${window.location.pathname}`,
+            platform: adapter.label,
+            selectorPack: OneTapSelectorPacks.activeVersion,
+            userAgent: navigator.userAgent,
+            timestamp: new Date().toISOString(),
+            selectors: this.inspectSelectors(adapter),
+            commentBoxes: commentBoxes.map(box => ({
+                selector: box.selector,
+                visible: !!box.element.offsetParent
+            })),
+            emptyFields: context ? this.findEmptyFields(context) : null
+        };
+    },
+
+    /**
+     * Plain-text report for pasting into an issue
+     */
+    formatReport(report) {
+        const lines = [
+            'OneTap Reply diagnostics',
+            `Version: ${report.version}`,
+            `Page: ${report.page}`,
+            `Platform: ${report.platform}`,
+            `Selector pack: ${report.selectorPack}`,
+            `Browser: ${report.userAgent}`,
+            `Time: ${report.timestamp}`,
+            '',
+            'Selectors:'
+        ];
+
+        Object.entries(report.selectors).forEach(([name, result]) => {
+            lines.push(`  ${result.matched ? 'OK  ' : 'FAIL'} ${name}`);
+            result.checks.forEach(check => {
+                lines.push(`         ${check.error ? check.error : check.count} ${check.selector}`);
+            });
+        });
+
+        lines.push('', `Comment boxes: ${report.commentBoxes.length}`);
+        report.commentBoxes.forEach(box => {
+            lines.push(`  ${box.selector}${box.visible ? '' : ' (hidden)'}`);
+        });
+
+        if (report.emptyFields) {
+            lines.push('', `Empty context fields: ${report.emptyFields.join(', ') || 'none'}`);
+        } else {
+            lines.push('', 'Empty context fields: no comment box to read context from');
+        }
+
+        return lines.join('\n');
+    }
+};
@@ -0,0 +1,108 @@
+/**
+ * OneTap Reply History
+ * Library of inserted and copied replies kept in chrome.storage.local
+ */
+
+const OneTapHistory = {
+    storageKey: 'history',
+
+    // Oldest entries are dropped beyond this many
+    maxEntries: 1000,
+
+    /**
+     * All entries, newest first
+     */
+    async list() {
+        const stored = await chrome.storage.local.get({ [this.storageKey]: [] });
+        return stored[this.storageKey];
+    },
+
+    /**
+     * Record a reply that was inserted or copied
+     */
+    async add(entry) {
+        const entries = await this.list();
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            timestamp: new Date().toISOString(),
+            ...entry,
+            edited: entry.originalText !== entry.finalText
+        };
+
+        entries.unshift(record);
+        await chrome.storage.local.set({ [this.storageKey]: entries.slice(0, this.maxEntries) });
+        return record;
+    },
+
+    /**
+     * Delete a single entry
+     */
+    async remove(id) {
+        const entries = await this.list();
+        await chrome.storage.local.set({ [this.storageKey]: entries.filter(entry => entry.id !== id) });
+    },
+
+    /**
+     * Delete every entry
+     */
+    async clear() {
+        await chrome.storage.local.set({ [this.storageKey]: [] });
+    },
+
+    /**
+     * Case-insensitive match against reply text, post, platform and tone
+     */
+    search(entries, query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return entries;
+
+        return entries.filter(entry => [
+            entry.finalText,
+            entry.originalText,
+            entry.postTitle,
+            entry.postUrl,
+            entry.platform,
+            entry.toneLabel
+        ].some(value => value && value.toLowerCase().includes(needle)));
+    },
+
+    /**
+     * Columns used for CSV export, in order
+     */
+    csvColumns: [
+        'timestamp',
+        'action',
+        'platform',
+        'postUrl',
+        'postTitle',
+        'tone',
+        'toneLabel',
+        'originalText',
+        'finalText',
+        'edited'
+    ],
+
+    /**
+     * Serialize entries as pretty-printed JSON
+     */
+    toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    },
+
+    /**
+     * Serialize entries as RFC 4180 CSV. Cells a spreadsheet would read as a formula
+     * ("=1+1", "@author thanks") get a leading apostrophe so they stay text.
+     */
+    toCSV(entries) {
+        const escapeCell = (value) => {
+            let text = value === undefined || value === null ? '' : String(value);
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = entries.map(entry => this.csvColumns.map(column => escapeCell(entry[column])).join(','));
+        return [this.csvColumns.join(','), ...rows].join('\r\n');
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * OneTap Reply Keyphrases
+ * Topic extraction that keeps hashtags, @mentions, acronyms and multi-word phrases,
+ * scored by TF-IDF against the comment section
+ */
+
+const OneTapKeyphrases = {
+    // Number of topics returned by default
+    limit: 6,
+
+    // Score multipliers by kind of phrase: hashtags and acronyms are deliberate, so they count more
+    weights: {
+        hashtag: 2,
+        acronym: 1.5,
+        mention: 1.2,
+        phrase: 1
+    },
+
+    // Extra weight per additional word, so "react hooks" edges out "react" and "hooks" alone
+    phraseBonus: 0.3,
+
+    // All-caps words that are not acronyms worth keeping
+    ignoredAcronyms: ['OK', 'AM', 'PM', 'LOL', 'OMG'],
+
+    /**
+     * Top keyphrases of a text. corpus holds other texts from the page (such as comments);
+     * phrases that are common there score lower.
+     */
+    extract(text, { language = OneTapLanguage.defaultLanguage, corpus = [], limit = this.limit } = {}) {
+        if (!text) return [];
+
+        const counts = this.countCandidates(text, language);
+        const documents = corpus.filter(Boolean).map(doc => this.normalize(doc));
+
+        const scored = [...counts.values()].map(candidate => {
+            const { words } = candidate;
+            const documentFrequency = documents.filter(doc => doc.includes(` ${words} `)).length;
+            const idf = Math.log((documents.length + 1) / (documentFrequency + 1)) + 1;
+            const length = words.split(' ').length;
+
+            return {
+                ...candidate,
+                score: candidate.count * idf * this.weights[candidate.kind] * (1 + this.phraseBonus * (length - 1))
+            };
+        });
+
+        scored.sort((a, b) => b.score - a.score || a.position - b.position);
+
+        // Skip phrases that overlap one already chosen ("react" once "#react" or "react hooks" is in)
+        const chosen = [];
+        for (const candidate of scored) {
+            const overlaps = chosen.some(other => (
+                ` ${other.words} `.includes(` ${candidate.words} `) || ` ${candidate.words} `.includes(` ${other.words} `)
+            ));
+            if (!overlaps) chosen.push(candidate);
+            if (chosen.length === limit) break;
+        }
+
+        return chosen.map(candidate => candidate.label);
+    },
+
+    /**
+     * Occurrences of every candidate phrase, keyed by its lowercase form. words is the
+     * phrase without # or @, as it appears in tokenized text.
+     */
+    countCandidates(text, language) {
+        const { stopwords, minWordLength, lexicon } = OneTapLanguage.get(language);
+        const english = OneTapLanguage.get('en');
+        const stopwordSet = new Set([...english.stopwords, ...stopwords]);
+        // Opinion words ("great", "excited", "laid off") describe the post rather than its subject
+        const opinionWords = new Set(Object.keys({ ...english.lexicon, ...lexicon }).flatMap(phrase => phrase.split(' ')));
+        const counts = new Map();
+        let position = 0;
+
+        const add = (label, kind) => {
+            const key = label.toLowerCase();
+            const words = OneTapLanguage.tokenize(label).join(' ');
+            const entry = counts.get(key) || { label, words, kind, count: 0, position: position++ };
+            entry.count++;
+            counts.set(key, entry);
+        };
+
+        // Links and email addresses are not topics, and "bob@example.com" is no @mention
+        const cleaned = text
+            .replace(/https?:\/\/\S+/g, ' ')
+            .replace(/[\p{L}\p{N}_.+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu, ' , ');
+
+        (cleaned.match(/#[\p{L}\p{N}_]+/gu) || []).forEach(tag => add(tag, 'hashtag'));
+        (cleaned.match(/(?<![\p{L}\p{N}_.])@[\p{L}\p{N}_.]*[\p{L}\p{N}_]/gu) || []).forEach(mention => add(mention, 'mention'));
+
+        // Phrases are runs of content words, broken by punctuation, stopwords, opinion words and short words
+        const withoutTags = cleaned.replace(/[#@][\p{L}\p{N}_.]+/gu, ' , ');
+        withoutTags.split(/[^\p{L}\p{M}\p{N}\s'’-]+/u).forEach(chunk => {
+            let run = [];
+            const flush = () => {
+                for (let size = 1; size <= 3; size++) {
+                    for (let i = 0; i + size <= run.length; i++) {
+                        const words = run.slice(i, i + size);
+                        const label = words.map(word => (this.isAcronym(word) ? word : word.toLowerCase())).join(' ');
+                        add(label, size === 1 && this.isAcronym(words[0]) ? 'acronym' : 'phrase');
+                    }
+                }
+                run = [];
+            };
+
+            chunk.split(/\s+/).forEach(rawWord => {
+                // "what's" and "Acme's" are judged by the word before the apostrophe
+                const word = rawWord.replace(/^['’-]+|['’-]+$/g, '').replace(/['’](s|ll|re|ve|d|m|t)$/i, '');
+                const lower = word.toLowerCase();
+                const keep = word && !stopwordSet.has(lower) && !opinionWords.has(lower) &&
+                    !/^\p{N}+$/u.test(word) &&
+                    (this.isAcronym(word) || [...lower].length >= minWordLength);
+
+                if (keep) {
+                    run.push(word);
+                } else {
+                    flush();
+                }
+            });
+            flush();
+        });
+
+        return counts;
+    },
+
+    /**
+     * Short all-caps word such as AI, SEO or GPT4
+     */
+    isAcronym(word) {
+        return /^[A-Z][A-Z0-9]{1,5}s?$/.test(word) && !this.ignoredAcronyms.includes(word);
+    },
+
+    /**
+     * Lowercase text with single spaces around words, for phrase lookups
+     */
+    normalize(text) {
+        return ` ${OneTapLanguage.tokenize(text).join(' ')} `;
+    }
+};
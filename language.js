@@ -0,0 +1,173 @@
+/**
+ * OneTap Reply Language
+ * Lightweight language detection plus per-language word lists for topics and sentiment
+ */
+
+const OneTapLanguage = {
+    /**
+     * Supported languages with their native label and English name. Latin-script languages
+     * are told apart by stopword hits, others by their script. minWordLength is the
+     * shortest word kept as a topic.
+     *
+     * Sentiment data (read by sentiment.js): lexicon scores words and phrases from -3 to 3,
+     * negators flip the score of a word shortly after them, intensifiers scale it, and
+     * emotions lists the cues for each emotion label.
+     */
+    languages: {
+        en: {
+            label: 'English',
+            name: 'English',
+            minWordLength: 4,
+            stopwords: ['the', 'and', 'this', 'that', 'with', 'have', 'will', 'from', 'they', 'been', 'were', 'said', 'each', 'which', 'their', 'time', 'would', 'there', 'could', 'other', 'what', 'your', 'about', 'just', 'like', 'more', 'when', 'into', 'some', 'them', 'than', 'only', 'also', 'very', 'really', 'these', 'those', 'because', 'where', 'being',
+                'after', 'before', 'though', 'although', 'still', 'even', 'much', 'many', 'most', 'over', 'then', 'here', 'every', 'while', 'again', 'already', 'always', 'never', 'ever',
+                'today', 'yesterday', 'tomorrow', 'week', 'year', 'years', 'thing', 'things', 'think', 'know', 'want', 'need', 'going', 'getting', 'using', 'used', 'make', 'made', 'does', 'doing', 'done',
+                'should', 'back', 'first', 'last', 'next', 'well', 'sure', 'maybe', 'must', 'might', 'anyone', 'everyone', 'someone', 'something', 'anything', 'everything', 'point', 'lot', 'lots'],
+            lexicon: {
+                love: 3, loved: 3, awesome: 3, amazing: 3, excellent: 3, wonderful: 3, fantastic: 3,
+                thrilled: 3, perfect: 3, brilliant: 3, great: 2, good: 2, nice: 2, happy: 2, excited: 2,
+                proud: 2, grateful: 2, glad: 2, congrats: 2, congratulations: 2, helpful: 2, best: 2,
+                beautiful: 2, impressive: 2, inspiring: 2, enjoyed: 2, fun: 2, 'well done': 2,
+                thanks: 1, thank: 1, cool: 1, useful: 1, interesting: 1,
+                hate: -3, terrible: -3, awful: -3, horrible: -3, worst: -3, heartbroken: -3,
+                'laid off': -3, layoff: -3, layoffs: -3, 'passed away': -3, died: -3, grief: -3,
+                bad: -2, sad: -2, angry: -2, disappointed: -2, frustrated: -2, frustrating: -2,
+                annoyed: -2, annoying: -2, worried: -2, broken: -2, failed: -2, useless: -2,
+                ridiculous: -2, unfortunately: -2, loss: -2, stressed: -2, poor: -2, fired: -2,
+                concerned: -1, problem: -1, wrong: -1, difficult: -1, tough: -1, tired: -1, sorry: -1
+            },
+            negators: ['not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'nobody', 'without', 'hardly'],
+            intensifiers: {
+                extremely: 1.8, incredibly: 1.8, absolutely: 1.6, very: 1.5, super: 1.5, so: 1.3,
+                really: 1.4, totally: 1.4, truly: 1.4, quite: 1.2, slightly: 0.5, somewhat: 0.7, barely: 0.5, kinda: 0.7
+            },
+            emotions: {
+                celebration: ['congrats', 'congratulations', 'celebrate', 'celebrating', 'milestone', 'promoted', 'promotion', 'anniversary', 'graduated', 'award', 'new job', 'dream job', 'proud of'],
+                grief: ['passed away', 'rest in peace', 'rip', 'condolences', 'funeral', 'grief', 'grieving', 'mourning', 'laid off', 'layoff', 'layoffs', 'heartbroken', 'lost my'],
+                frustration: ['frustrated', 'frustrating', 'annoying', 'annoyed', 'ridiculous', 'fed up', 'sick of', 'unacceptable', 'useless', 'waste of', 'still broken'],
+                announcement: ['announce', 'announcing', 'announcement', 'introducing', 'excited to share', 'happy to share', 'pleased to share', 'launch', 'launched', 'launching', 'now available', 'released', 'joining', 'new role', 'hiring']
+            }
+        },
+        es: {
+            label: 'Español',
+            name: 'Spanish',
+            minWordLength: 4,
+            stopwords: ['el', 'la', 'los', 'las', 'que', 'de', 'del', 'y', 'en', 'un', 'una', 'por', 'con', 'para', 'es', 'lo', 'como', 'pero', 'sus', 'este', 'esta', 'esto', 'porque', 'muy', 'cuando', 'también', 'sobre', 'todo', 'todos', 'está', 'hay', 'más', 'ser', 'tiene', 'desde', 'donde', 'entre', 'cada', 'ellos', 'nuestro'],
+            lexicon: {
+                amor: 3, encanta: 3, increíble: 3, excelente: 3, maravilloso: 3, fantástico: 3, perfecto: 3,
+                brillante: 3, genial: 2, bueno: 2, buena: 2, feliz: 2, emocionado: 2, orgulloso: 2,
+                felicidades: 2, enhorabuena: 2, gracias: 1, útil: 1,
+                odio: -3, terrible: -3, horrible: -3, peor: -3, falleció: -3, despidos: -3, despedido: -3,
+                malo: -2, mala: -2, triste: -2, enojado: -2, decepcionado: -2, frustrado: -2, molesto: -2,
+                preocupado: -2, harto: -2, pérdida: -2, problema: -1, difícil: -1
+            },
+            negators: ['no', 'nunca', 'jamás', 'nada', 'ni', 'sin', 'tampoco'],
+            intensifiers: { muy: 1.5, super: 1.5, realmente: 1.4, totalmente: 1.4, tan: 1.3, bastante: 1.2, poco: 0.6 },
+            emotions: {
+                celebration: ['felicidades', 'enhorabuena', 'celebrar', 'celebramos', 'logro', 'ascenso', 'aniversario', 'graduación', 'premio', 'nuevo trabajo'],
+                grief: ['falleció', 'descanse en paz', 'condolencias', 'pérdida', 'duelo', 'luto', 'despedido', 'despidos'],
+                frustration: ['frustrado', 'frustrante', 'harto', 'ridículo', 'molesto', 'inaceptable'],
+                announcement: ['anuncio', 'anunciamos', 'presentamos', 'lanzamiento', 'lanzamos', 'me complace', 'nuevo puesto', 'me uno']
+            }
+        },
+        de: {
+            label: 'Deutsch',
+            name: 'German',
+            minWordLength: 4,
+            stopwords: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'einen', 'mit', 'auf', 'für', 'sich', 'den', 'dem', 'des', 'auch', 'ich', 'wir', 'sie', 'es', 'wie', 'aber', 'oder', 'wenn', 'noch', 'nur', 'schon', 'sehr', 'dass', 'diese', 'dieser', 'dieses', 'haben', 'wird', 'sind', 'kann', 'über', 'mehr', 'beim'],
+            lexicon: {
+                liebe: 3, großartig: 3, ausgezeichnet: 3, wunderbar: 3, fantastisch: 3, perfekt: 3,
+                toll: 2, super: 2, gut: 2, schön: 2, glücklich: 2, begeistert: 2, genial: 2, stolz: 2,
+                glückwunsch: 2, danke: 1, hilfreich: 1,
+                hasse: -3, schrecklich: -3, furchtbar: -3, verstorben: -3, entlassen: -3, entlassungen: -3,
+                schlecht: -2, traurig: -2, wütend: -2, enttäuscht: -2, frustriert: -2, genervt: -2,
+                besorgt: -2, schlimm: -2, nervig: -2, verlust: -2, problem: -1, schwierig: -1
+            },
+            negators: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals', 'nichts', 'ohne', 'weder'],
+            intensifiers: { extrem: 1.8, sehr: 1.5, wirklich: 1.4, total: 1.4, echt: 1.4, so: 1.3, ziemlich: 1.2, etwas: 0.7, kaum: 0.5 },
+            emotions: {
+                celebration: ['glückwunsch', 'gratulation', 'gratuliere', 'feiern', 'meilenstein', 'beförderung', 'jubiläum', 'auszeichnung', 'neuen job'],
+                grief: ['verstorben', 'beileid', 'trauer', 'ruhe in frieden', 'verlust', 'entlassen', 'entlassungen', 'kündigung'],
+                frustration: ['frustriert', 'genervt', 'nervig', 'ärgerlich', 'lächerlich', 'unmöglich'],
+                announcement: ['freue mich', 'ankündigen', 'vorstellen', 'veröffentlicht', 'neue rolle', 'ab sofort']
+            }
+        },
+        hi: {
+            label: 'हिन्दी',
+            name: 'Hindi',
+            script: /\p{Script=Devanagari}/u,
+            minWordLength: 3,
+            stopwords: ['के', 'का', 'की', 'है', 'हैं', 'और', 'में', 'से', 'को', 'पर', 'यह', 'वह', 'था', 'थी', 'थे', 'कि', 'जो', 'भी', 'तो', 'ही', 'एक', 'लिए', 'नहीं', 'कर', 'करने', 'हो', 'रहा', 'रही', 'गया', 'इस', 'उस', 'अपने', 'बहुत', 'कुछ', 'सब', 'साथ', 'बात', 'होता', 'होती', 'करते'],
+            lexicon: {
+                प्यार: 3, शानदार: 3, अद्भुत: 3, उत्कृष्ट: 3, बेहतरीन: 3, कमाल: 3,
+                बढ़िया: 2, अच्छा: 2, अच्छी: 2, खुश: 2, सुंदर: 2, बधाई: 2, धन्यवाद: 1,
+                नफरत: -3, भयानक: -3, निधन: -3, बुरा: -2, बुरी: -2, खराब: -2, दुखी: -2,
+                गुस्सा: -2, निराश: -2, परेशान: -2, बेकार: -2, चिंतित: -1
+            },
+            negators: ['नहीं', 'न', 'मत', 'बिना'],
+            intensifiers: { बेहद: 1.8, बहुत: 1.5, काफी: 1.3, ज़्यादा: 1.3, थोड़ा: 0.7 },
+            emotions: {
+                celebration: ['बधाई', 'मुबारक', 'जश्न', 'उपलब्धि', 'पदोन्नति', 'सालगिरह'],
+                grief: ['निधन', 'श्रद्धांजलि', 'शोक', 'ओम शांति', 'नौकरी चली गई'],
+                frustration: ['परेशान', 'गुस्सा', 'बेकार', 'तंग आ'],
+                announcement: ['घोषणा', 'पेश', 'लॉन्च', 'नई भूमिका', 'जुड़ रहा', 'जुड़ रही']
+            }
+        }
+    },
+
+    // Used when nothing else can be detected
+    defaultLanguage: 'en',
+
+    /**
+     * Guess the language of a text, returning a key of `languages`
+     */
+    detect(text) {
+        if (!text) return this.defaultLanguage;
+
+        const letters = text.match(/\p{L}/gu) || [];
+        if (letters.length === 0) return this.defaultLanguage;
+
+        // Non-Latin scripts win when they make up a good share of the letters
+        for (const [code, language] of Object.entries(this.languages)) {
+            if (!language.script) continue;
+            const scriptLetters = letters.filter(letter => language.script.test(letter)).length;
+            if (scriptLetters / letters.length > 0.3) return code;
+        }
+
+        const words = this.tokenize(text);
+        let best = this.defaultLanguage;
+        let bestScore = 0;
+
+        Object.entries(this.languages).forEach(([code, language]) => {
+            if (language.script) return;
+            const stopwords = new Set(language.stopwords);
+            const score = words.filter(word => stopwords.has(word)).length;
+            if (score > bestScore) {
+                best = code;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Lowercase words of any script, with accents and combining marks kept
+     */
+    tokenize(text) {
+        return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+    },
+
+    /**
+     * Language definition, falling back to the default language
+     */
+    get(code) {
+        return this.languages[code] || this.languages[this.defaultLanguage];
+    },
+
+    /**
+     * English name of a language, as used in prompts
+     */
+    getName(code) {
+        return this.get(code).name;
+    }
+};
@@ -0,0 +1,214 @@
+/**
+ * OneTap Reply Parser
+ * Turns raw model output into clean reply candidates
+ */
+
+const OneTapReplyParser = {
+    // Longest reply accepted when the caller gives no limit
+    defaultMaxLength: 500,
+
+    /**
+     * Lines that are prompt scaffolding rather than replies
+     */
+    echoPatterns: [
+        /^(generate|write|return|keep|create)\b.*\brepl(y|ies)\b/i,
+        /^(title|content|author|key topics|post sentiment|post mood|top comments)\s*:/i,
+        /^here (are|is)\b.*:?$/i,
+        /^(sure|okay|ok|certainly)[,!.]?\s*(here|below)\b/i,
+        /^repl(y|ies)\s*:?$/i,
+        /^```/
+    ],
+
+    /**
+     * Parse model output into at most `count` valid, distinct replies.
+     * options: prompt, userText (user-written text quoted in the prompt), count, minLength, maxLength
+     */
+    parse(text, options = {}) {
+        if (!text) return [];
+
+        const cleaned = this.stripPromptEcho(text, options.prompt || '');
+        const candidates = this.parseJson(cleaned) || this.parseLines(cleaned);
+
+        return this.filterCandidates(candidates, options);
+    },
+
+    /**
+     * Parse a partially streamed response, returning only replies that are already complete
+     */
+    parsePartial(text, options = {}) {
+        if (!text) return [];
+
+        const cleaned = this.stripPromptEcho(text, options.prompt || '');
+        const arrayStart = cleaned.indexOf('[');
+
+        let candidates;
+        if (arrayStart !== -1) {
+            candidates = this.extractJsonStrings(cleaned.slice(arrayStart));
+        } else {
+            // The last line may still be growing
+            const lines = cleaned.split('\n');
+            candidates = this.parseLines(lines.slice(0, -1).join('\n'));
+        }
+
+        return this.filterCandidates(candidates, options);
+    },
+
+    /**
+     * Clean, validate and de-duplicate candidates
+     */
+    filterCandidates(candidates, { prompt = '', userText = [], count = 3, minLength = 8, maxLength = this.defaultMaxLength } = {}) {
+        const promptLines = this.getPromptLines(prompt, userText);
+        const seen = new Set();
+        const replies = [];
+
+        candidates.forEach(candidate => {
+            const reply = this.cleanCandidate(candidate);
+            const key = reply.toLowerCase();
+
+            if (seen.has(key)) return;
+            if (!this.isValidReply(reply, promptLines, minLength, maxLength)) return;
+
+            seen.add(key);
+            replies.push(reply);
+        });
+
+        return replies.slice(0, count);
+    },
+
+    /**
+     * Collect every fully closed string literal from the start of a JSON array
+     */
+    extractJsonStrings(text) {
+        const strings = [];
+        const stringPattern = /"((?:[^"\\]|\\.)*)"/g;
+        let match;
+
+        while ((match = stringPattern.exec(text)) !== null) {
+            try {
+                strings.push(JSON.parse(`"${match[1]}"`));
+            } catch (e) {
+                // Skip malformed escapes
+            }
+        }
+
+        return strings;
+    },
+
+    /**
+     * Remove the prompt when a completion model echoes it back before its answer
+     */
+    stripPromptEcho(text, prompt) {
+        const trimmed = text.trim();
+        const trimmedPrompt = prompt.trim();
+
+        if (trimmedPrompt && trimmed.startsWith(trimmedPrompt)) {
+            return trimmed.slice(trimmedPrompt.length).trim();
+        }
+        return trimmed;
+    },
+
+    /**
+     * Extract replies from a JSON array (optionally fenced or wrapped in an object)
+     */
+    parseJson(text) {
+        const start = text.indexOf('[');
+        const end = text.lastIndexOf(']');
+        if (start === -1 || end <= start) return null;
+
+        try {
+            const parsed = JSON.parse(text.slice(start, end + 1));
+            if (!Array.isArray(parsed)) return null;
+
+            const replies = parsed
+                .map(item => {
+                    if (typeof item === 'string') return item;
+                    if (item && typeof item === 'object') return item.reply || item.text || '';
+                    return '';
+                })
+                .filter(Boolean);
+
+            return replies.length > 0 ? replies : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Split plain-text output into one candidate per line
+     */
+    parseLines(text) {
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .filter(line => !this.echoPatterns.some(pattern => pattern.test(line)));
+    },
+
+    /**
+     * Strip numbering, bullets, labels and wrapping quotes
+     */
+    cleanCandidate(candidate) {
+        let reply = String(candidate).trim();
+
+        reply = reply
+            .replace(/^(?:[-*•]|\(?\d+[.):]|#\d+)\s+/, '')
+            .replace(/^(?:reply|option|response)\s*\d*\s*[:.-]\s*/i, '')
+            .replace(/^\*\*(.+)\*\*$/, '$1')
+            .trim();
+
+        // Drop a matching pair of wrapping quotes
+        const quoted = reply.match(/^(["'“‘])([\s\S]*)(["'”’])$/);
+        if (quoted) {
+            reply = quoted[2].trim();
+        }
+
+        return reply.replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Normalized prompt lines, used to catch echoed prompt fragments. Lines quoting userText
+     * (a reply to rewrite, the user's draft) are left out, since a good reply may repeat them
+     * with only case or punctuation changed.
+     */
+    getPromptLines(prompt, userText = []) {
+        const quoted = userText.map(text => this.normalize(text)).filter(Boolean);
+
+        return new Set(
+            prompt
+                .split('\n')
+                .map(line => this.normalize(line))
+                .filter(line => line.length > 0 && !quoted.some(text => text.includes(line)))
+        );
+    },
+
+    /**
+     * Check that a cleaned candidate looks like an actual reply
+     */
+    isValidReply(reply, promptLines, minLength, maxLength) {
+        if (reply.length < minLength || reply.length > maxLength) return false;
+        if (!/\p{L}/u.test(reply)) return false;
+        if (reply.endsWith(':')) return false;
+        if (this.echoPatterns.some(pattern => pattern.test(reply))) return false;
+
+        const normalized = this.normalize(reply);
+        if (promptLines.has(normalized)) return false;
+
+        // Reject fragments of prompt lines such as quoted post content
+        for (const line of promptLines) {
+            if (normalized.length > 20 && line.includes(normalized)) return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Lowercase and collapse punctuation and whitespace for comparisons
+     */
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+};
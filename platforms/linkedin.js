@@ -0,0 +1,207 @@
+/**
+ * OneTap Reply LinkedIn Adapter
+ * Feed posts: post type, text, author, reshared post, attachments and the first few comments
+ */
+
+OneTapPlatforms.register({
+    id: 'linkedin',
+    label: 'LinkedIn',
+    hosts: ['linkedin.com'],
+    charLimit: 1250,
+    uiClass: 'onetap-linkedin',
+
+    selectors: {
+        commentBox: [
+            // Main comment boxes
+            '.comments-comment-box .ql-editor',
+            '.comments-comment-texteditor .ql-editor',
+            // Reply boxes
+            '.comments-reply-box .ql-editor',
+            'div[data-placeholder*="comment"]'
+        ],
+        commentRelated: [
+            '.comments-comments-list',
+            '.comment',
+            '.comments-comment-item',
+            '.comments-comment-box'
+        ],
+        post: ['.feed-shared-update-v2'],
+        content: ['.feed-shared-text', '.update-components-text', '.attributed-text-segment-list__content'],
+        author: ['.feed-shared-actor__name', '.update-components-actor__name'],
+        // Reshared post embedded below the resharer's commentary
+        reshare: ['.update-components-mini-update-v2', '.feed-shared-mini-update-v2', '.feed-shared-update-v2__reshared-content'],
+        article: ['.update-components-article', '.feed-shared-article'],
+        articleTitle: ['.update-components-article__title', '.feed-shared-article__title'],
+        articleDescription: ['.update-components-article__subtitle', '.feed-shared-article__subtitle', '.feed-shared-article__description'],
+        articleLink: ['a[href]'],
+        document: ['.update-components-document__container', '.feed-shared-document'],
+        documentTitle: ['.update-components-document__title', '.feed-shared-document__title', '.document-s-container__title'],
+        documentFrame: ['iframe[title]'],
+        poll: ['.update-components-poll', '.feed-shared-poll'],
+        pollQuestion: ['.update-components-poll-summary__question', '.update-components-poll__question', '.feed-shared-poll__question'],
+        pollOption: ['.update-components-poll-option__text', '.feed-shared-poll-option__text'],
+        image: ['.update-components-image img', '.feed-shared-image img'],
+        video: ['.update-components-linkedin-video', '.feed-shared-linkedin-video'],
+        comments: ['.comments-comment-item'],
+        commentText: ['.attributed-text-segment-list__content'],
+        commentAuthor: ['.comments-post-meta__name'],
+        thread: ['.comments-comment-item', '.comments-comment-entity'],
+        threadComment: ['.comments-comment-item', '.comments-comment-entity'],
+        threadAuthor: ['.comments-post-meta__name-text', '.comments-post-meta__name'],
+        threadText: ['.comments-comment-item__main-content', '.attributed-text-segment-list__content']
+    },
+
+    // Alt text LinkedIn fills in when the author wrote none
+    placeholderAlt: /^(no alternative text description|image)/i,
+
+    /**
+     * Post the comment box belongs to
+     */
+    extractContext(commentBox) {
+        const context = {
+            postType: 'post',
+            postContent: '',
+            authorInfo: { name: '' },
+            attachments: [],
+            existingComments: []
+        };
+
+        const postElement = commentBox.closest(this.selector('post'));
+        if (!postElement) return context;
+
+        // The resharer's commentary and name sit outside the reshared post
+        const reshare = this.find(postElement, 'reshare');
+        const outsideReshare = (element) => !reshare || !reshare.contains(element);
+        const ownText = (name) => {
+            const element = this.findAll(postElement, name).find(outsideReshare);
+            return element ? element.textContent.trim() : '';
+        };
+
+        context.postContent = ownText('content');
+        context.authorInfo.name = ownText('author');
+        context.attachments = this.readAttachments(postElement);
+        context.postType = this.classifyPost(reshare, context.attachments);
+
+        if (reshare) {
+            context.quotedPost = {
+                author: this.findText(reshare, 'author'),
+                text: this.findText(reshare, 'content').substring(0, 500)
+            };
+        }
+
+        // Get existing comments
+        const commentElements = postElement.querySelectorAll(this.selector('comments'));
+        for (let i = 0; i < Math.min(3, commentElements.length); i++) {
+            const commentText = this.find(commentElements[i], 'commentText');
+            const commentAuthor = this.find(commentElements[i], 'commentAuthor');
+
+            if (commentText && commentAuthor) {
+                context.existingComments.push({
+                    author: commentAuthor.textContent.trim(),
+                    text: commentText.textContent.trim().substring(0, 150)
+                });
+            }
+        }
+
+        return context;
+    },
+
+    /**
+     * Article link, document, poll and image descriptions in the post, including a reshared one
+     */
+    readAttachments(postElement) {
+        const attachments = [];
+
+        const article = this.find(postElement, 'article');
+        if (article) {
+            const link = this.find(article, 'articleLink');
+            let source = '';
+            try {
+                source = link ? new URL(link.href).hostname.replace(/^www\./, '') : '';
+            } catch (e) {
+                // Relative or malformed link: leave the source out
+            }
+
+            attachments.push({
+                type: 'article',
+                title: this.findText(article, 'articleTitle'),
+                description: this.findText(article, 'articleDescription').substring(0, 300),
+                source
+            });
+        }
+
+        const documentCard = this.find(postElement, 'document');
+        if (documentCard) {
+            const frame = this.find(documentCard, 'documentFrame');
+            attachments.push({
+                type: 'document',
+                title: this.findText(documentCard, 'documentTitle') || (frame ? frame.getAttribute('title') : '')
+            });
+        }
+
+        const poll = this.find(postElement, 'poll');
+        if (poll) {
+            attachments.push({
+                type: 'poll',
+                question: this.findText(poll, 'pollQuestion'),
+                options: this.findAll(poll, 'pollOption').map(option => option.textContent.trim()).filter(Boolean)
+            });
+        }
+
+        const images = this.findAll(postElement, 'image');
+        if (images.length > 0) {
+            const descriptions = images
+                .map(image => (image.getAttribute('alt') || '').trim())
+                .filter(alt => alt && !this.placeholderAlt.test(alt));
+            attachments.push({ type: 'image', count: images.length, descriptions: descriptions.slice(0, 4) });
+        }
+
+        if (this.find(postElement, 'video')) {
+            attachments.push({ type: 'video' });
+        }
+
+        return attachments;
+    },
+
+    // Post types by attachment, most specific first
+    postTypes: [
+        ['poll', 'poll'],
+        ['document', 'document post'],
+        ['article', 'article share'],
+        ['image', 'image post'],
+        ['video', 'video post']
+    ],
+
+    /**
+     * Post type used in prompts: a reshare wins over the attachment it carries
+     */
+    classifyPost(reshare, attachments) {
+        if (reshare) return 'reshare';
+
+        const types = attachments.map(attachment => attachment.type);
+        const match = this.postTypes.find(([type]) => types.includes(type));
+
+        return match ? match[1] : 'post';
+    },
+
+    /**
+     * LinkedIn uses a Quill editor, which expects paragraphs. Text added to a draft is typed
+     * in, so its paragraphs and mentions stay as they are.
+     */
+    insertText(commentBox, text, position = null) {
+        if (!commentBox.classList.contains('ql-editor')) {
+            OneTapPlatforms.defaults.insertText(commentBox, text, position);
+            return;
+        }
+
+        if (position) {
+            OneTapPlatforms.insertByEditing(commentBox, text, position);
+        } else {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            commentBox.replaceChildren(paragraph);
+            commentBox.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        commentBox.dispatchEvent(new Event('blur', { bubbles: true }));
+    }
+});
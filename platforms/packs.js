@@ -0,0 +1,137 @@
+/**
+ * OneTap Reply Selector Packs
+ * Versioned JSON overrides for the adapters' selector lists, so broken selectors can be
+ * fixed by importing a pack instead of waiting for a release
+ *
+ * A pack looks like:
+ *   {
+ *     "format": 1,
+ *     "version": "2024.06.1",
+ *     "platforms": {
+ *       "youtube": { "title": ["h1.title yt-formatted-string", "#title h1"] }
+ *     }
+ *   }
+ * Each list replaces the adapter's list of the same name and is tried in order. Lists a
+ * pack leaves out keep the bundled selectors.
+ */
+
+const OneTapSelectorPacks = {
+    format: 1,
+
+    // Version of the pack applied to the adapters, 'bundled' when none is
+    activeVersion: 'bundled',
+
+    /**
+     * The selectors in use, as a pack; a starting point for writing a new one
+     */
+    current() {
+        const platforms = {};
+        Object.values(OneTapPlatforms.adapters).forEach(adapter => {
+            platforms[adapter.id] = adapter.selectors;
+        });
+
+        return {
+            format: this.format,
+            version: this.activeVersion === 'bundled'
+                ? `bundled-${chrome.runtime.getManifest().version}`
+                : this.activeVersion,
+            platforms
+        };
+    },
+
+    /**
+     * Problems that stop a pack from being used; empty when it is valid
+     */
+    validate(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['Pack must be a JSON object'];
+        }
+
+        const errors = [];
+        if (pack.format !== this.format) {
+            errors.push(`Unsupported pack format ${pack.format} (expected ${this.format})`);
+        }
+        if (typeof pack.version !== 'string' || !pack.version.trim()) {
+            errors.push('Pack needs a version');
+        }
+        if (!pack.platforms || typeof pack.platforms !== 'object' || Object.keys(pack.platforms).length === 0) {
+            errors.push('Pack has no platforms');
+            return errors;
+        }
+
+        // Parsing against an empty fragment throws on invalid syntax without matching anything
+        const fragment = document.createDocumentFragment();
+
+        Object.entries(pack.platforms).forEach(([platformId, lists]) => {
+            const adapter = OneTapPlatforms.adapters[platformId];
+            if (!adapter) {
+                errors.push(`Unknown platform "${platformId}"`);
+                return;
+            }
+            if (!lists || typeof lists !== 'object' || Array.isArray(lists)) {
+                errors.push(`${platformId} must map list names to selectors`);
+                return;
+            }
+
+            Object.entries(lists).forEach(([name, selectors]) => {
+                const path = `${platformId}.${name}`;
+
+                if (!(name in adapter.bundledSelectors)) {
+                    errors.push(`${path} is not a selector list`);
+                } else if (!Array.isArray(selectors) || selectors.length === 0) {
+                    errors.push(`${path} must be a non-empty list of selectors`);
+                } else {
+                    selectors.forEach(selector => {
+                        try {
+                            fragment.querySelector(selector);
+                        } catch (e) {
+                            errors.push(`${path} has an invalid selector: ${selector}`);
+                        }
+                    });
+                }
+            });
+        });
+
+        return errors;
+    },
+
+    /**
+     * Read a pack file's text, throwing with every validation problem
+     */
+    parse(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const errors = this.validate(pack);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        return pack;
+    },
+
+    /**
+     * Point every adapter at the pack's lists, falling back to the bundled ones.
+     * An invalid pack is ignored and false returned, so the caller can roll back.
+     */
+    apply(pack) {
+        if (pack) {
+            const errors = this.validate(pack);
+            if (errors.length > 0) {
+                console.warn('[OneTap Reply] Selector pack failed validation, using bundled selectors:', errors);
+                pack = null;
+            }
+        }
+
+        Object.values(OneTapPlatforms.adapters).forEach(adapter => {
+            adapter.selectors = { ...adapter.bundledSelectors, ...(pack ? pack.platforms[adapter.id] : {}) };
+        });
+        this.activeVersion = pack ? pack.version : 'bundled';
+
+        return !!pack;
+    }
+};
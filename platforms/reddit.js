@@ -0,0 +1,173 @@
+/**
+ * OneTap Reply Reddit Adapter
+ * New Reddit (shreddit), the 2018 redesign and old.reddit.com: post, subreddit and parent comment chain
+ */
+
+OneTapPlatforms.register({
+    id: 'reddit',
+    label: 'Reddit',
+    hosts: ['reddit.com'],
+    charLimit: 10000,
+    mentionPrefix: 'u/',
+    uiClass: 'onetap-reddit',
+
+    selectors: {
+        commentBox: [
+            // New Reddit rich-text and markdown editors
+            'shreddit-composer [contenteditable="true"]',
+            'comment-composer-host [contenteditable="true"]',
+            'shreddit-composer textarea',
+            // 2018 redesign (Draft.js) and its markdown mode
+            '.public-DraftEditor-content[contenteditable="true"]',
+            'textarea[placeholder*="thoughts"]',
+            // Old Reddit
+            '.usertext-edit textarea[name="text"]'
+        ],
+        commentRelated: [
+            'shreddit-comment-tree',
+            'shreddit-comment',
+            'shreddit-composer',
+            'comment-composer-host',
+            '.commentarea',
+            '.thing.comment'
+        ],
+        // New Reddit
+        newPost: ['shreddit-post'],
+        newTitle: ['[slot="title"]', 'h1'],
+        newSelfText: ['[slot="text-body"]'],
+        newComments: ['shreddit-comment[depth="0"]'],
+        // Old Reddit
+        oldPost: ['#siteTable .thing.link'],
+        oldTitle: ['a.title'],
+        oldSelfText: ['.expando .usertext-body .md'],
+        oldComments: ['.commentarea > .sitetable > .thing.comment'],
+        // 2018 redesign
+        redesignPost: ['[data-test-id="post-content"]'],
+        redesignTitle: ['h1'],
+        redesignSelfText: ['[data-click-id="text"]'],
+        redesignAuthor: ['a[href^="/user/"]'],
+        threadComment: ['shreddit-comment', '.thing.comment'],
+        threadAuthor: ['a.author'],
+        threadText: ['[slot="comment"]', '.usertext-body .md']
+    },
+
+    /**
+     * Post title, self-text, subreddit and top-level comments
+     */
+    extractContext() {
+        const newPost = this.find(document, 'newPost');
+        if (newPost) return this.readNewPost(newPost);
+
+        const oldPost = this.find(document, 'oldPost');
+        if (oldPost) return this.readOldPost(oldPost);
+
+        return this.readRedesignPost();
+    },
+
+    /**
+     * shreddit-post exposes most fields as attributes
+     */
+    readNewPost(post) {
+        const comments = [...document.querySelectorAll(this.selector('newComments'))].slice(0, 3);
+
+        return {
+            postType: 'post',
+            postTitle: post.getAttribute('post-title') || this.findText(post, 'newTitle'),
+            postContent: this.findText(post, 'newSelfText').substring(0, 1000),
+            authorInfo: { name: post.getAttribute('author') || '' },
+            community: post.getAttribute('subreddit-prefixed-name') || this.getSubredditFromUrl(),
+            existingComments: comments
+                .map(comment => this.readComment(comment))
+                .filter(comment => comment.text)
+                .map(comment => ({ ...comment, text: comment.text.substring(0, 200) }))
+        };
+    },
+
+    /**
+     * old.reddit.com keeps post metadata in data attributes
+     */
+    readOldPost(post) {
+        const subreddit = post.getAttribute('data-subreddit');
+        const comments = [...document.querySelectorAll(this.selector('oldComments'))].slice(0, 3);
+
+        return {
+            postType: 'post',
+            postTitle: this.findText(post, 'oldTitle'),
+            postContent: this.findText(post, 'oldSelfText').substring(0, 1000),
+            authorInfo: { name: post.getAttribute('data-author') || '' },
+            community: subreddit ? `r/${subreddit}` : this.getSubredditFromUrl(),
+            existingComments: comments
+                .map(comment => this.readComment(comment))
+                .filter(comment => comment.text)
+                .map(comment => ({ ...comment, text: comment.text.substring(0, 200) }))
+        };
+    },
+
+    /**
+     * The 2018 redesign renders comments flat, so only the post itself is read
+     */
+    readRedesignPost() {
+        const post = this.find(document, 'redesignPost') || document;
+
+        return {
+            postType: 'post',
+            postTitle: this.findText(post, 'redesignTitle'),
+            postContent: this.findText(post, 'redesignSelfText').substring(0, 1000),
+            authorInfo: { name: this.findText(post, 'redesignAuthor').replace(/^u\//, '') },
+            community: this.getSubredditFromUrl(),
+            existingComments: []
+        };
+    },
+
+    /**
+     * "r/name" from the current URL
+     */
+    getSubredditFromUrl() {
+        const match = window.location.pathname.match(/^\/r\/([^/]+)/);
+        return match ? `r/${match[1]}` : '';
+    },
+
+    /**
+     * Reddit nests replies inside their parent, so the thread is the chain of
+     * comments the box sits in, from the top-level comment down to the one answered
+     */
+    extractThread(commentBox) {
+        const comment = this.selector('threadComment');
+        const chain = [];
+
+        for (let element = commentBox.closest(comment); element; element = element.parentElement?.closest(comment)) {
+            const entry = this.readComment(element);
+            if (entry.text) {
+                chain.unshift(entry);
+            }
+        }
+
+        if (chain.length === 0) return null;
+
+        return {
+            replyTo: chain[chain.length - 1],
+            thread: chain.slice(0, -1).slice(-5)
+        };
+    },
+
+    /**
+     * Both Reddits carry the comment author as an attribute
+     */
+    readComment(element) {
+        const comment = OneTapPlatforms.defaults.readComment.call(this, element);
+        const author = element.getAttribute('author') || element.getAttribute('data-author');
+
+        return author ? { ...comment, author } : comment;
+    },
+
+    /**
+     * Markdown textareas take a value; rich-text editors must be typed into
+     */
+    insertText(commentBox, text, position = null) {
+        if (commentBox.tagName === 'TEXTAREA') {
+            OneTapPlatforms.setNativeValue(commentBox, OneTapPlatforms.spliceValue(commentBox, text, position));
+        } else {
+            OneTapPlatforms.insertByEditing(commentBox, text, position);
+        }
+    }
+});
@@ -0,0 +1,356 @@
+/**
+ * OneTap Reply Platform Registry
+ * Site adapters describing where comment boxes live, how to read the page and how to insert replies
+ *
+ * An adapter is registered with:
+ *   id, label             settings key and display name
+ *   hosts                 hostnames it runs on (subdomains included)
+ *   charLimit             longest comment the site accepts, as measured by countLength
+ *   mentionPrefix         what goes before a username to mention someone
+ *   uiClass               class added to the floating button for site-specific positioning
+ *   selectors             named, ordered selector lists. Every adapter has commentBox (editable
+ *                         comment and reply boxes) and commentRelated (containers whose appearance
+ *                         triggers a rescan); threadComment, threadAuthor, threadText and optionally
+ *                         thread enable thread-aware replies. The rest are read by the adapter.
+ *                         A selector pack (platforms/packs.js) can replace any of these lists.
+ *   extractContext(commentBox)  post fields merged into the reply context
+ * and may override the defaults below (countLength, isReplyBox, findUIContainer, extractThread,
+ * readComment, readDraft, findDraftEnd, insertText).
+ *
+ * Positions in a comment box (where a reply is inserted) are a character offset for
+ * textareas and inputs and a collapsed Range for rich-text editors.
+ */
+
+const OneTapPlatforms = {
+    adapters: {},
+
+    /**
+     * Behaviour shared by every adapter unless it provides its own
+     */
+    defaults: {
+        charLimit: 5000,
+        mentionPrefix: '@',
+        uiClass: '',
+        selectors: {
+            commentBox: [],
+            commentRelated: []
+        },
+
+        /**
+         * Length of a comment the way the site counts it towards charLimit
+         */
+        countLength(text) {
+            return [...text].length;
+        },
+
+        /**
+         * Whether a matched comment box answers something; boxes for new posts get no button
+         */
+        isReplyBox() {
+            return true;
+        },
+
+        /**
+         * A named selector list joined into one selector, matching any entry
+         */
+        selector(name) {
+            return (this.selectors[name] || []).join(', ');
+        },
+
+        /**
+         * First element for a named list, trying its selectors in order
+         */
+        find(root, name) {
+            for (const selector of this.selectors[name] || []) {
+                try {
+                    const element = root.querySelector(selector);
+                    if (element) return element;
+                } catch (e) {
+                    console.warn('[OneTap Reply] Invalid selector:', selector, e);
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Every element matched by the first selector in a named list that matches any
+         */
+        findAll(root, name) {
+            for (const selector of this.selectors[name] || []) {
+                try {
+                    const elements = root.querySelectorAll(selector);
+                    if (elements.length > 0) return [...elements];
+                } catch (e) {
+                    console.warn('[OneTap Reply] Invalid selector:', selector, e);
+                }
+            }
+            return [];
+        },
+
+        /**
+         * Trimmed text of the first element for a named list
+         */
+        findText(root, name) {
+            const element = this.find(root, name);
+            return element ? element.textContent.trim() : '';
+        },
+
+        /**
+         * Nearest positioned ancestor to anchor the floating button to
+         */
+        findUIContainer(commentBox) {
+            let container = commentBox.parentElement;
+            let attempts = 0;
+
+            while (container && attempts < 5) {
+                const style = window.getComputedStyle(container);
+                if (style.position === 'relative' || style.position === 'absolute') {
+                    return container;
+                }
+                container = container.parentElement;
+                attempts++;
+            }
+
+            // Fallback: use the comment box's parent
+            return commentBox.parentElement;
+        },
+
+        /**
+         * When the comment box is a reply box, find the comment it answers and the
+         * visible replies before it. Returns null for top-level comment boxes.
+         */
+        extractThread(commentBox) {
+            const threadSelector = this.selector('thread');
+            const commentSelector = this.selector('threadComment');
+            if (!threadSelector || !commentSelector) return null;
+
+            // The outermost match is the thread root (LinkedIn nests replies inside the root comment)
+            let thread = commentBox.closest(threadSelector);
+            while (thread && thread.parentElement && thread.parentElement.closest(threadSelector)) {
+                thread = thread.parentElement.closest(threadSelector);
+            }
+            if (!thread) return null;
+
+            const comments = [
+                ...(thread.matches(commentSelector) ? [thread] : []),
+                ...thread.querySelectorAll(commentSelector)
+            ]
+                .map(element => ({ element, ...this.readComment(element) }))
+                .filter(comment => comment.text);
+            if (comments.length === 0) return null;
+
+            // The box sits inside the comment it answers; otherwise it follows it in the thread
+            const owner = commentBox.closest(commentSelector);
+            let targetIndex = comments.findIndex(comment => comment.element === owner);
+            if (targetIndex === -1) {
+                const preceding = comments.filter(comment => (
+                    comment.element.compareDocumentPosition(commentBox) & Node.DOCUMENT_POSITION_FOLLOWING
+                ));
+                targetIndex = comments.indexOf(preceding[preceding.length - 1]);
+            }
+            if (targetIndex === -1) return null;
+
+            const toEntry = ({ author, text }) => ({ author, text });
+            return {
+                replyTo: toEntry(comments[targetIndex]),
+                thread: comments.slice(0, targetIndex).slice(-5).map(toEntry)
+            };
+        },
+
+        /**
+         * Author and text of a single comment, ignoring replies nested inside it
+         */
+        readComment(element) {
+            const commentSelector = this.selector('threadComment');
+            const ownMatch = (name) => {
+                const selector = this.selector(name);
+                return selector && [...element.querySelectorAll(selector)]
+                    .find(node => node.closest(commentSelector) === element);
+            };
+
+            const author = ownMatch('threadAuthor');
+            const text = ownMatch('threadText');
+
+            return {
+                author: author ? author.textContent.trim() : '',
+                text: text ? text.textContent.trim().substring(0, 500) : ''
+            };
+        },
+
+        /**
+         * Text already typed in the comment box, with a line break between rich-text blocks,
+         * and a position in it: the one given, else the caret. caret is that position as an
+         * offset into text; both are null when the position is outside the box.
+         */
+        readDraft(commentBox, position = null) {
+            if (OneTapPlatforms.isTextField(commentBox)) {
+                const caret = position ?? commentBox.selectionStart ?? null;
+                return { text: commentBox.value, caret, position: caret };
+            }
+
+            let range = position;
+            const selection = window.getSelection();
+            if (!range && selection && selection.rangeCount > 0 && commentBox.contains(selection.focusNode)) {
+                range = document.createRange();
+                range.setStart(selection.focusNode, selection.focusOffset);
+            }
+
+            const { text, offset } = OneTapPlatforms.readRichText(commentBox, range);
+            return { text, caret: offset, position: offset === null ? null : range };
+        },
+
+        /**
+         * Position right after the last character typed, ignoring trailing whitespace
+         */
+        findDraftEnd(commentBox) {
+            if (OneTapPlatforms.isTextField(commentBox)) {
+                return commentBox.value.trimEnd().length;
+            }
+
+            const walker = document.createTreeWalker(commentBox, NodeFilter.SHOW_TEXT);
+            let last = null;
+            while (walker.nextNode()) {
+                if (walker.currentNode.data.trim()) last = walker.currentNode;
+            }
+
+            const range = document.createRange();
+            if (last) {
+                range.setStart(last, last.data.trimEnd().length);
+            } else {
+                range.selectNodeContents(commentBox);
+            }
+            range.collapse(true);
+            return range;
+        },
+
+        /**
+         * Put plain text into the box and notify the page's framework. Without a position the
+         * box content is replaced; with one the text is inserted there and the rest is kept.
+         */
+        insertText(commentBox, text, position = null) {
+            if (OneTapPlatforms.isTextField(commentBox)) {
+                commentBox.value = OneTapPlatforms.spliceValue(commentBox, text, position);
+            } else if (position) {
+                OneTapPlatforms.insertByEditing(commentBox, text, position);
+                return;
+            } else {
+                commentBox.textContent = text;
+            }
+
+            commentBox.dispatchEvent(new Event('input', { bubbles: true }));
+            commentBox.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    },
+
+    /**
+     * Add a site adapter, filling in the shared defaults. Its own selectors are kept
+     * as bundledSelectors so a selector pack can be undone.
+     */
+    register(adapter) {
+        const registered = { ...this.defaults, ...adapter };
+        registered.bundledSelectors = registered.selectors;
+        this.adapters[adapter.id] = registered;
+    },
+
+    /**
+     * Adapter for a hostname, or null when the site is not supported
+     */
+    detect(hostname) {
+        return Object.values(this.adapters).find(adapter => (
+            adapter.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+        )) || null;
+    },
+
+    /**
+     * Textareas and inputs, which hold their text in value
+     */
+    isTextField(element) {
+        return element.tagName === 'TEXTAREA' || element.tagName === 'INPUT';
+    },
+
+    /**
+     * A text field's value with text inserted at an offset, or replaced by it without one
+     */
+    spliceValue(field, text, position = null) {
+        return position === null ? text : field.value.slice(0, position) + text + field.value.slice(position);
+    },
+
+    /**
+     * Plain text of a rich-text box with a line break between blocks, and the offset in it of
+     * the start of range (null without one or when it lies outside the box)
+     */
+    readRichText(root, range = null) {
+        const blocks = /^(P|DIV|LI|H[1-6]|BLOCKQUOTE|PRE)$/;
+        const point = range && root.contains(range.startContainer)
+            ? { node: range.startContainer, offset: range.startOffset }
+            : null;
+        let text = '';
+        let offset = null;
+
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (point && point.node === node) offset = text.length + point.offset;
+                text += node.data;
+                return;
+            }
+
+            if (node !== root && blocks.test(node.nodeName) && text && !text.endsWith('\n')) {
+                text += '\n';
+            }
+            if (node.nodeName === 'BR') {
+                text += '\n';
+            }
+
+            node.childNodes.forEach((child, index) => {
+                if (point && point.node === node && point.offset === index) offset = text.length;
+                walk(child);
+            });
+            if (point && point.node === node && point.offset === node.childNodes.length) offset = text.length;
+        };
+
+        walk(root);
+        return { text, offset };
+    },
+
+    /**
+     * Type text into a rich-text editor (Draft.js, Lexical, Quill) through the browser's editing
+     * commands, so the editor's own state updates. The text replaces the box content, or goes
+     * at a collapsed Range and keeps the rest. Falls back to editing the DOM directly.
+     */
+    insertByEditing(commentBox, text, position = null) {
+        commentBox.focus();
+
+        const range = position || document.createRange();
+        if (!position) {
+            range.selectNodeContents(commentBox);
+        }
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        if (document.execCommand('insertText', false, text)) return;
+
+        if (position) {
+            position.insertNode(document.createTextNode(text));
+            commentBox.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+            this.defaults.insertText(commentBox, text);
+        }
+    },
+
+    /**
+     * Set a textarea value past React's value tracking so its change handler fires
+     */
+    setNativeValue(element, value) {
+        const prototype = Object.getPrototypeOf(element);
+        const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+        if (setter) {
+            setter.call(element, value);
+        } else {
+            element.value = value;
+        }
+
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+};
@@ -0,0 +1,176 @@
+/**
+ * OneTap Reply X (Twitter) Adapter
+ * Reply composer: the tweet being answered, its author, quoted tweet and the thread above it
+ */
+
+OneTapPlatforms.register({
+    id: 'twitter',
+    label: 'X',
+    hosts: ['x.com', 'twitter.com'],
+    charLimit: 280,
+    uiClass: 'onetap-twitter',
+
+    selectors: {
+        commentBox: [
+            'div[data-testid^="tweetTextarea_"][contenteditable="true"]',
+            '.public-DraftEditor-content[contenteditable="true"]'
+        ],
+        commentRelated: [
+            '[data-testid="primaryColumn"]',
+            '[role="dialog"]',
+            'article[data-testid="tweet"]',
+            '[data-testid^="tweetTextarea_"]'
+        ],
+        dialog: ['[role="dialog"]'],
+        // Quoted tweets are embedded in the tweet as a link card
+        quote: ['div[role="link"]'],
+        threadComment: ['article[data-testid="tweet"]'],
+        threadAuthor: ['[data-testid="User-Name"]'],
+        threadText: ['[data-testid="tweetText"]']
+    },
+
+    // Every link is shortened to a t.co URL of this length
+    linkLength: 23,
+
+    /**
+     * X's weighted length: links count as 23, emoji and most characters outside
+     * Latin scripts as 2, everything else as 1
+     */
+    countLength(text) {
+        const links = text.match(/https?:\/\/\S+/g) || [];
+        const rest = text.replace(/https?:\/\/\S+/g, '');
+        let length = links.length * this.linkLength;
+
+        for (const { segment } of new Intl.Segmenter().segment(rest)) {
+            if (/\p{Extended_Pictographic}/u.test(segment)) {
+                length += 2;
+                continue;
+            }
+            for (const char of segment) {
+                length += this.isLightCharacter(char.codePointAt(0)) ? 1 : 2;
+            }
+        }
+
+        return length;
+    },
+
+    /**
+     * Code points X counts once: Latin and most scripts up to Hangul Jamo, and some punctuation
+     */
+    isLightCharacter(code) {
+        return code <= 4351 || (code >= 8192 && code <= 8205) || (code >= 8208 && code <= 8223) ||
+            (code >= 8242 && code <= 8247);
+    },
+
+    /**
+     * The same composer writes new posts (home timeline, /compose/post) and replies. It
+     * replies in a dialog that shows a tweet, or inline below the tweet on a status page.
+     */
+    isReplyBox(commentBox) {
+        const dialog = commentBox.closest(this.selector('dialog'));
+        if (!dialog && !/\/status\/\d+/.test(location.pathname)) return false;
+
+        return [...(dialog || document).querySelectorAll(this.selector('threadComment'))]
+            .some(article => article.compareDocumentPosition(commentBox) & Node.DOCUMENT_POSITION_FOLLOWING);
+    },
+
+    /**
+     * Tweets shown above the composer, oldest first. The reply dialog shows only the
+     * tweet being answered; inline composers sit below the conversation.
+     */
+    getTweetsAbove(commentBox) {
+        const scope = commentBox.closest(this.selector('dialog')) || document;
+
+        return [...scope.querySelectorAll(this.selector('threadComment'))]
+            .filter(article => article.compareDocumentPosition(commentBox) & Node.DOCUMENT_POSITION_FOLLOWING)
+            .map(article => ({ article, ...this.readComment(article) }))
+            .filter(tweet => tweet.text);
+    },
+
+    /**
+     * The conversation's first tweet is the post; its quoted tweet is kept alongside
+     */
+    extractContext(commentBox) {
+        const tweets = this.getTweetsAbove(commentBox);
+        const target = tweets[tweets.length - 1];
+        const root = tweets[0];
+
+        if (!root) {
+            return { postType: 'tweet', postContent: '', authorInfo: { name: '' }, existingComments: [] };
+        }
+
+        return {
+            postType: 'tweet',
+            postContent: root.text,
+            authorInfo: { name: root.name, handle: root.handle },
+            quotedPost: this.readQuote(target.article),
+            existingComments: []
+        };
+    },
+
+    /**
+     * Replying below a thread answers its last tweet, with the tweets in between as the thread
+     */
+    extractThread(commentBox) {
+        const tweets = this.getTweetsAbove(commentBox);
+        if (tweets.length < 2) return null;
+
+        const toEntry = ({ author, text }) => ({ author, text });
+        return {
+            replyTo: toEntry(tweets[tweets.length - 1]),
+            thread: tweets.slice(1, -1).slice(-5).map(toEntry)
+        };
+    },
+
+    /**
+     * Display name, @handle and text of a tweet, leaving out any quoted tweet
+     */
+    readComment(article) {
+        const outsideQuote = (node) => {
+            const quote = node.closest(this.selector('quote'));
+            return !quote || !article.contains(quote);
+        };
+        const userName = [...article.querySelectorAll(this.selector('threadAuthor'))].find(outsideQuote);
+        const text = [...article.querySelectorAll(this.selector('threadText'))].find(outsideQuote);
+
+        return {
+            ...this.readUserName(userName),
+            text: text ? text.textContent.trim() : ''
+        };
+    },
+
+    /**
+     * Tweet quoted inside an article, if any
+     */
+    readQuote(article) {
+        const quote = article && this.find(article, 'quote');
+        const text = quote && this.find(quote, 'threadText');
+        if (!text) return null;
+
+        const { author } = this.readUserName(this.find(quote, 'threadAuthor'));
+        return { author, text: text.textContent.trim().substring(0, 280) };
+    },
+
+    /**
+     * Split the User-Name block into display name and @handle
+     */
+    readUserName(element) {
+        const label = element ? element.textContent : '';
+        const handle = (label.match(/@\w{1,15}/) || [''])[0];
+        const name = handle ? label.slice(0, label.indexOf(handle)).trim() : label.trim();
+
+        return {
+            name,
+            handle,
+            author: name && handle ? `${name} (${handle})` : name || handle
+        };
+    },
+
+    /**
+     * X's composer is a Draft.js editor; typing through editing commands keeps its
+     * state in sync so the Reply button enables
+     */
+    insertText(commentBox, text, position = null) {
+        OneTapPlatforms.insertByEditing(commentBox, text, position);
+    }
+});
@@ -0,0 +1,167 @@
+/**
+ * OneTap Reply YouTube Adapter
+ * Video pages: title, description, channel, stats, top comments, chapters and the transcript
+ */
+
+OneTapPlatforms.register({
+    id: 'youtube',
+    label: 'YouTube',
+    hosts: ['youtube.com'],
+    charLimit: 10000,
+    uiClass: 'onetap-youtube',
+
+    selectors: {
+        commentBox: [
+            // Main comment box
+            '#placeholder-area textarea',
+            'div[id="contenteditable-root"]',
+            // Reply boxes
+            '#reply-button-end textarea',
+            'ytd-comment-replies-renderer textarea'
+        ],
+        commentRelated: [
+            '#comments',
+            '#comment',
+            'ytd-comment-thread-renderer',
+            'ytd-comment-replies-renderer'
+        ],
+        title: [
+            'h1.title yt-formatted-string',
+            '#title h1',
+            '.ytd-video-primary-info-renderer h1',
+            'h1[class*="title"]'
+        ],
+        description: [
+            '#description-text',
+            '#description ytd-expandable-text',
+            '.ytd-expandable-video-description-body-renderer',
+            '#description-inline-expander'
+        ],
+        channelName: ['#channel-name a', '.ytd-channel-name a'],
+        subscribers: ['#owner-sub-count'],
+        views: ['.view-count'],
+        likes: ['#segmented-like-button button'],
+        comments: ['ytd-comment-thread-renderer'],
+        commentText: ['#content-text'],
+        commentAuthor: ['#author-text'],
+        commentLikes: ['#vote-count-middle'],
+        thread: ['ytd-comment-thread-renderer'],
+        threadComment: ['ytd-comment-renderer', 'ytd-comment-view-model'],
+        threadAuthor: ['#author-text'],
+        threadText: ['#content-text'],
+        // Only rendered once the transcript panel has been opened
+        transcriptSegment: ['ytd-transcript-segment-renderer'],
+        transcriptTime: ['.segment-timestamp'],
+        transcriptText: ['.segment-text'],
+        chapter: ['ytd-macro-markers-list-item-renderer'],
+        chapterTitle: ['h4.macro-markers', 'h4'],
+        chapterTime: ['#time'],
+        video: ['video.html5-main-video', 'video']
+    },
+
+    /**
+     * Video details and top comments
+     */
+    extractContext() {
+        const description = this.findText(document, 'description');
+
+        return {
+            postType: 'video',
+            postTitle: this.findText(document, 'title'),
+            postContent: description.substring(0, 1000),
+            authorInfo: this.getChannelInfo(),
+            existingComments: this.getComments(),
+            videoStats: this.getStats(),
+            chapters: this.getChapters(description),
+            transcript: this.getTranscript(),
+            currentTime: this.getCurrentTime()
+        };
+    },
+
+    /**
+     * Chapters from the chapter list, or from timestamps in the description
+     */
+    getChapters(description) {
+        const chapters = [];
+
+        document.querySelectorAll(this.selector('chapter')).forEach(element => {
+            const start = OneTapTranscript.parseTimestamp(this.findText(element, 'chapterTime'));
+            const title = this.findText(element, 'chapterTitle');
+
+            // The chapter list is rendered in more than one panel
+            if (start !== null && title && !chapters.some(chapter => chapter.start === start)) {
+                chapters.push({ start, title });
+            }
+        });
+
+        return chapters.length > 0
+            ? chapters.sort((a, b) => a.start - b.start)
+            : OneTapTranscript.parseChapters(description);
+    },
+
+    /**
+     * Transcript lines with their start time in seconds, empty unless the transcript panel is open
+     */
+    getTranscript() {
+        return [...document.querySelectorAll(this.selector('transcriptSegment'))]
+            .map(segment => ({
+                start: OneTapTranscript.parseTimestamp(this.findText(segment, 'transcriptTime')),
+                text: this.findText(segment, 'transcriptText')
+            }))
+            .filter(segment => segment.start !== null && segment.text);
+    },
+
+    /**
+     * Playback position in whole seconds, null when no video is playing
+     */
+    getCurrentTime() {
+        const video = this.find(document, 'video');
+        return video && video.currentTime > 0 ? Math.floor(video.currentTime) : null;
+    },
+
+    /**
+     * Get YouTube channel information
+     */
+    getChannelInfo() {
+        return {
+            name: this.findText(document, 'channelName'),
+            subscribers: this.findText(document, 'subscribers')
+        };
+    },
+
+    /**
+     * Get YouTube video statistics
+     */
+    getStats() {
+        const likes = this.find(document, 'likes');
+
+        return {
+            views: this.findText(document, 'views'),
+            likes: likes ? likes.getAttribute('aria-label') : ''
+        };
+    },
+
+    /**
+     * Get existing YouTube comments for context
+     */
+    getComments() {
+        const comments = [];
+        const commentElements = document.querySelectorAll(this.selector('comments'));
+
+        // Get top 5 comments for context
+        for (let i = 0; i < Math.min(5, commentElements.length); i++) {
+            const commentText = this.find(commentElements[i], 'commentText');
+            const author = this.find(commentElements[i], 'commentAuthor');
+
+            if (commentText && author) {
+                comments.push({
+                    author: author.textContent.trim(),
+                    text: commentText.textContent.trim().substring(0, 200),
+                    likes: this.findText(commentElements[i], 'commentLikes') || '0'
+                });
+            }
+        }
+
+        return comments;
+    }
+});
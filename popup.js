@@ -0,0 +1,971 @@
+/**
+ * OneTap Reply Popup Script
+ * Renders the settings form and persists changes to chrome.storage.local
+ */
+
+class OneTapPopup {
+    constructor() {
+        this.settings = null;
+        this.statusTimeout = null;
+
+        this.init();
+    }
+
+    /**
+     * Load stored settings and render the form
+     */
+    async init() {
+        this.settings = await OneTapSettings.load();
+
+        this.renderProviderTypes();
+        this.renderLanguageOptions(document.getElementById('replyLanguage'));
+        this.renderSafetyRules();
+        this.renderLists();
+        this.populateForm();
+        this.attachListeners();
+    }
+
+    /**
+     * Re-render every list-backed part of the form
+     */
+    renderLists() {
+        this.renderProviderChain();
+        this.renderToneList();
+        this.renderToneOptions();
+        this.renderSnippetList();
+        this.renderPersonaList();
+        this.renderPersonaOptions();
+    }
+
+    /**
+     * Fill the default tone dropdown
+     */
+    renderToneOptions() {
+        const select = document.getElementById('defaultTone');
+        select.length = 1; // Keep "Choose each time"
+
+        this.settings.tones.forEach(tone => {
+            select.appendChild(new Option(`${tone.icon} ${tone.label}`, tone.id));
+        });
+        select.value = this.settings.defaultTone;
+    }
+
+    /**
+     * Append an option for every supported language to a dropdown
+     */
+    renderLanguageOptions(select) {
+        Object.entries(OneTapLanguage.languages).forEach(([code, language]) => {
+            select.appendChild(new Option(language.label, code));
+        });
+    }
+
+    /**
+     * One dropdown per safety rule choosing whether it hides, flags or ignores a reply
+     */
+    renderSafetyRules() {
+        const container = document.getElementById('safety-rules');
+
+        Object.entries(OneTapSafety.rules).forEach(([rule, { label }]) => {
+            const field = document.createElement('label');
+            field.className = 'field';
+            field.textContent = label;
+
+            const select = document.createElement('select');
+            select.dataset.safetyRule = rule;
+            select.appendChild(new Option('Hide and replace', 'drop'));
+            select.appendChild(new Option('Show with a warning', 'flag'));
+            select.appendChild(new Option('Off', 'off'));
+
+            field.appendChild(select);
+            container.appendChild(field);
+        });
+    }
+
+    /**
+     * Fill the "add provider" type dropdown from the adapter registry
+     */
+    renderProviderTypes() {
+        const select = document.getElementById('new-provider-type');
+        Object.entries(OneTapProviders.adapters).forEach(([type, adapter]) => {
+            select.appendChild(new Option(adapter.label, type));
+        });
+    }
+
+    /**
+     * Render the ordered provider chain as editable cards
+     */
+    renderProviderChain() {
+        const container = document.getElementById('provider-chain');
+        container.innerHTML = '';
+
+        this.settings.providers.forEach((provider, index) => {
+            container.appendChild(this.createProviderCard(provider, index));
+        });
+    }
+
+    /**
+     * Create the card for a single provider entry
+     */
+    createProviderCard(provider, index) {
+        const adapter = OneTapProviders.adapters[provider.type];
+        const { card, body } = this.createItemCard('providers', index, {
+            title: provider.label,
+            subtitle: adapter ? adapter.label : provider.type,
+            enabled: provider.enabled
+        });
+
+        const labelInput = this.createField(body, 'Name', 'text', provider.label);
+        const baseUrlInput = this.createField(body, 'Base URL', 'text', provider.baseUrl, adapter?.defaultBaseUrl);
+        const modelInput = this.createField(body, 'Model', 'text', provider.model, adapter?.defaultModel);
+        const keyInput = this.createField(body, 'API key', 'password', provider.apiKey, 'Not set', adapter?.keyHint);
+
+        this.appendItemActions(body, 'providers', index, () => {
+            this.saveProvider(index, {
+                label: labelInput.value.trim() || provider.label,
+                baseUrl: baseUrlInput.value.trim().replace(/\/+$/, '') || adapter?.defaultBaseUrl || '',
+                model: modelInput.value.trim() || adapter?.defaultModel || '',
+                apiKey: keyInput.value.trim()
+            });
+        });
+
+        return card;
+    }
+
+    /**
+     * Render the tone editor list
+     */
+    renderToneList() {
+        const container = document.getElementById('tone-list');
+        container.innerHTML = '';
+
+        this.settings.tones.forEach((tone, index) => {
+            container.appendChild(this.createToneCard(tone, index));
+        });
+    }
+
+    /**
+     * Create the editor card for a single tone
+     */
+    createToneCard(tone, index) {
+        const { card, body } = this.createItemCard('tones', index, {
+            title: `${tone.icon} ${tone.label}`,
+            subtitle: tone.desc
+        });
+
+        const labelInput = this.createField(body, 'Label', 'text', tone.label);
+        const iconInput = this.createField(body, 'Icon', 'text', tone.icon, 'An emoji');
+        const descInput = this.createField(body, 'Description', 'text', tone.desc);
+        const instructionsInput = this.createField(body, 'Prompt instructions', 'textarea',
+            (tone.instructions || []).join('\n'), '', 'One bullet point per line');
+        const platformInputs = this.createPlatformToggles(body, tone.hiddenOn);
+
+        this.appendItemActions(body, 'tones', index, () => {
+            this.updateListItem('tones', index, {
+                label: labelInput.value.trim() || tone.label,
+                icon: iconInput.value.trim() || tone.icon,
+                desc: descInput.value.trim(),
+                instructions: this.splitLines(instructionsInput.value),
+                hiddenOn: this.getHiddenPlatforms(platformInputs)
+            });
+            this.renderLists();
+        });
+
+        return card;
+    }
+
+    /**
+     * Render the snippet library editor list
+     */
+    renderSnippetList() {
+        const container = document.getElementById('snippet-list');
+        container.innerHTML = '';
+
+        this.settings.snippets.forEach((snippet, index) => {
+            container.appendChild(this.createSnippetCard(snippet, index));
+        });
+    }
+
+    /**
+     * Create the editor card for a single snippet
+     */
+    createSnippetCard(snippet, index) {
+        const tone = this.settings.tones.find(t => t.id === snippet.tone);
+        const { card, body } = this.createItemCard('snippets', index, {
+            title: snippet.text.length > 40 ? `${snippet.text.slice(0, 40)}…` : snippet.text,
+            subtitle: `${tone ? `${tone.icon} ${tone.label}` : 'Any tone'} · ${OneTapLanguage.get(snippet.language).label}`
+        });
+
+        const textInput = this.createField(body, 'Text', 'textarea', snippet.text);
+
+        const toneField = document.createElement('label');
+        toneField.className = 'field';
+        toneField.textContent = 'Tone';
+        const toneSelect = document.createElement('select');
+        toneSelect.appendChild(new Option('Any tone', ''));
+        this.settings.tones.forEach(t => toneSelect.appendChild(new Option(`${t.icon} ${t.label}`, t.id)));
+        toneSelect.value = tone ? tone.id : '';
+        toneField.appendChild(toneSelect);
+        body.appendChild(toneField);
+
+        const languageField = document.createElement('label');
+        languageField.className = 'field';
+        languageField.textContent = 'Language';
+        const languageSelect = document.createElement('select');
+        this.renderLanguageOptions(languageSelect);
+        languageSelect.value = snippet.language || 'en';
+        languageField.appendChild(languageSelect);
+        body.appendChild(languageField);
+
+        const platformInputs = this.createPlatformToggles(body, snippet.hiddenOn);
+
+        this.appendItemActions(body, 'snippets', index, () => {
+            this.updateListItem('snippets', index, {
+                text: textInput.value.trim() || snippet.text,
+                tone: toneSelect.value,
+                language: languageSelect.value,
+                hiddenOn: this.getHiddenPlatforms(platformInputs)
+            });
+            this.renderLists();
+        });
+
+        return card;
+    }
+
+    /**
+     * Fill the active persona dropdown
+     */
+    renderPersonaOptions() {
+        const select = document.getElementById('activePersonaId');
+        select.length = 1; // Keep "No persona"
+
+        this.settings.personas.forEach(persona => {
+            select.appendChild(new Option(persona.name, persona.id));
+        });
+        select.value = this.settings.activePersonaId;
+    }
+
+    /**
+     * Render the persona editor list
+     */
+    renderPersonaList() {
+        const container = document.getElementById('persona-list');
+        container.innerHTML = '';
+
+        this.settings.personas.forEach((persona, index) => {
+            container.appendChild(this.createPersonaCard(persona, index));
+        });
+    }
+
+    /**
+     * Create the editor card for a single persona
+     */
+    createPersonaCard(persona, index) {
+        const { card, body } = this.createItemCard('personas', index, {
+            title: persona.name,
+            subtitle: [persona.role, persona.company].filter(Boolean).join(' · ')
+        });
+
+        const nameInput = this.createField(body, 'Name', 'text', persona.name);
+        const roleInput = this.createField(body, 'Role', 'text', persona.role, 'e.g. Head of Growth');
+        const companyInput = this.createField(body, 'Company', 'text', persona.company);
+        const expertiseInput = this.createField(body, 'Expertise areas', 'text',
+            (persona.expertise || []).join(', '), 'Comma separated');
+        const usePhrasesInput = this.createField(body, 'Phrases to use', 'textarea',
+            (persona.usePhrases || []).join('\n'), '', 'One per line');
+        const avoidPhrasesInput = this.createField(body, 'Phrases to avoid', 'textarea',
+            (persona.avoidPhrases || []).join('\n'), '', 'One per line');
+        const samplesInput = this.createField(body, 'Sample comments you wrote', 'textarea',
+            (persona.samples || []).join('\n'), '', 'One comment per line, up to five are used');
+
+        this.appendItemActions(body, 'personas', index, () => {
+            this.updateListItem('personas', index, {
+                name: nameInput.value.trim() || persona.name,
+                role: roleInput.value.trim(),
+                company: companyInput.value.trim(),
+                expertise: expertiseInput.value.split(',').map(area => area.trim()).filter(Boolean),
+                usePhrases: this.splitLines(usePhrasesInput.value),
+                avoidPhrases: this.splitLines(avoidPhrasesInput.value),
+                samples: this.splitLines(samplesInput.value)
+            });
+            this.renderLists();
+        });
+
+        return card;
+    }
+
+    /**
+     * Create a collapsible card with reorder buttons for an entry of a list setting
+     */
+    createItemCard(key, index, { title, subtitle, enabled }) {
+        const card = document.createElement('div');
+        card.className = 'item-card';
+
+        const header = document.createElement('div');
+        header.className = 'item-header';
+
+        if (enabled !== undefined) {
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = enabled;
+            toggle.title = 'Enabled';
+            toggle.addEventListener('change', () => {
+                this.updateListItem(key, index, { enabled: toggle.checked });
+            });
+            header.appendChild(toggle);
+        }
+
+        const name = document.createElement('span');
+        name.className = 'item-name';
+        name.textContent = title;
+
+        const type = document.createElement('span');
+        type.className = 'item-type';
+        type.textContent = subtitle || '';
+
+        const upButton = this.createButton('↑', 'Move up', () => this.moveListItem(key, index, -1));
+        upButton.disabled = index === 0;
+
+        const downButton = this.createButton('↓', 'Move down', () => this.moveListItem(key, index, 1));
+        downButton.disabled = index === this.settings[key].length - 1;
+
+        const body = document.createElement('div');
+        body.className = 'item-body';
+        body.hidden = true;
+
+        const editButton = this.createButton('Edit', 'Show details', () => {
+            body.hidden = !body.hidden;
+        });
+
+        header.append(name, type, upButton, downButton, editButton);
+        card.append(header, body);
+
+        return { card, body };
+    }
+
+    /**
+     * Append "Show on" checkboxes for every platform, unchecked for those in hiddenOn
+     */
+    createPlatformToggles(body, hiddenOn = []) {
+        const visibility = document.createElement('div');
+        visibility.className = 'field';
+        visibility.textContent = 'Show on';
+
+        const platformInputs = OneTapSettings.platforms.map(platform => {
+            const label = document.createElement('label');
+            label.className = 'toggle';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = !hiddenOn.includes(platform.id);
+            input.dataset.platformId = platform.id;
+
+            label.append(input, ` ${platform.label}`);
+            visibility.appendChild(label);
+            return input;
+        });
+        body.appendChild(visibility);
+
+        return platformInputs;
+    }
+
+    /**
+     * Platform ids whose "Show on" checkbox is cleared
+     */
+    getHiddenPlatforms(platformInputs) {
+        return platformInputs.filter(input => !input.checked).map(input => input.dataset.platformId);
+    }
+
+    /**
+     * Append Save and Remove buttons to a card body
+     */
+    appendItemActions(body, key, index, onSave) {
+        const actions = document.createElement('div');
+        actions.className = 'item-actions';
+        actions.append(
+            this.createButton('Save', 'Save changes', onSave),
+            this.createButton('Remove', 'Remove', () => this.removeListItem(key, index))
+        );
+        body.appendChild(actions);
+    }
+
+    /**
+     * Append a labelled input (or textarea) to a container and return it
+     */
+    createField(container, labelText, type, value, placeholder = '', hint = '') {
+        const field = document.createElement('label');
+        field.className = 'field';
+        field.textContent = labelText;
+
+        let input;
+        if (type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 3;
+        } else {
+            input = document.createElement('input');
+            input.type = type;
+            input.autocomplete = 'off';
+        }
+        input.value = value || '';
+        input.placeholder = placeholder || '';
+        field.appendChild(input);
+
+        if (hint) {
+            const small = document.createElement('small');
+            small.textContent = hint;
+            field.appendChild(small);
+        }
+
+        container.appendChild(field);
+        return input;
+    }
+
+    /**
+     * Create a small button with a click handler
+     */
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Split a textarea value into trimmed, non-empty lines
+     */
+    splitLines(value) {
+        return value.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Merge changes into one entry of a list setting and persist it
+     */
+    updateListItem(key, index, changes) {
+        const list = this.settings[key].map((item, i) => (
+            i === index ? { ...item, ...changes } : item
+        ));
+        return this.save({ [key]: list });
+    }
+
+    /**
+     * Move an entry of a list setting up or down
+     */
+    moveListItem(key, index, offset) {
+        const list = [...this.settings[key]];
+        const [item] = list.splice(index, 1);
+        list.splice(index + offset, 0, item);
+
+        this.save({ [key]: list });
+        this.renderLists();
+    }
+
+    /**
+     * Remove an entry from a list setting
+     */
+    removeListItem(key, index) {
+        const list = this.settings[key].filter((item, i) => i !== index);
+
+        this.save({ [key]: list });
+        this.renderLists();
+    }
+
+    /**
+     * Save edited provider fields, asking for host access to custom endpoints first
+     */
+    async saveProvider(index, changes) {
+        try {
+            // Must run inside the click gesture, before any other await
+            const origin = `${new URL(changes.baseUrl).origin}/*`;
+            const granted = await chrome.permissions.request({ origins: [origin] });
+            if (!granted) {
+                this.showStatus(`Access to ${origin} was not granted`);
+                return;
+            }
+        } catch (error) {
+            this.showStatus('Base URL is not a valid URL');
+            return;
+        }
+
+        await this.updateListItem('providers', index, changes);
+        this.renderLists();
+    }
+
+    /**
+     * Append a new provider of the selected type to the end of the chain
+     */
+    addProvider() {
+        const type = document.getElementById('new-provider-type').value;
+        this.appendListItem('providers', OneTapProviders.createProvider(type), 'provider-chain');
+    }
+
+    /**
+     * Append a new custom tone to the end of the list
+     */
+    addTone() {
+        this.appendListItem('tones', {
+            id: `tone-${Date.now().toString(36)}`,
+            label: 'New tone',
+            icon: '✨',
+            desc: '',
+            instructions: [],
+            hiddenOn: []
+        }, 'tone-list');
+    }
+
+    /**
+     * Append a new snippet for any tone to the end of the library
+     */
+    addSnippet() {
+        this.appendListItem('snippets', {
+            id: `snippet-${Date.now().toString(36)}`,
+            tone: '',
+            language: 'en',
+            hiddenOn: [],
+            text: 'Thanks for sharing this{{#if author.firstName}}, {{author.firstName}}{{/if}}!'
+        }, 'snippet-list');
+    }
+
+    /**
+     * Append a new persona to the end of the list
+     */
+    addPersona() {
+        this.appendListItem('personas', {
+            id: `persona-${Date.now().toString(36)}`,
+            name: 'New persona',
+            role: '',
+            company: '',
+            expertise: [],
+            usePhrases: [],
+            avoidPhrases: [],
+            samples: []
+        }, 'persona-list');
+    }
+
+    /**
+     * Append an entry to a list setting and open its card for editing
+     */
+    appendListItem(key, item, containerId) {
+        this.save({ [key]: [...this.settings[key], item] });
+        this.renderLists();
+
+        const bodies = document.querySelectorAll(`#${containerId} .item-body`);
+        bodies[bodies.length - 1].hidden = false;
+    }
+
+    /**
+     * Replace the tone list with the built-in tones
+     */
+    resetTones() {
+        if (!confirm('Replace all tones with the built-in ones? Custom tones will be lost.')) return;
+
+        this.save({ tones: OneTapSettings.defaults.tones });
+        this.renderLists();
+    }
+
+    /**
+     * Replace the snippet library with the built-in snippets
+     */
+    resetSnippets() {
+        if (!confirm('Replace all snippets with the built-in ones? Custom snippets will be lost.')) return;
+
+        this.save({ snippets: OneTapSettings.defaults.snippets });
+        this.renderLists();
+    }
+
+    /**
+     * Switch between the Settings and History tabs
+     */
+    showTab(tabName) {
+        document.querySelectorAll('.tabs .tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.hidden = panel.id !== `tab-${tabName}`;
+        });
+
+        if (tabName === 'history') {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Render history entries matching the search box
+     */
+    async renderHistory() {
+        const container = document.getElementById('history-list');
+        const query = document.getElementById('history-search').value;
+        const entries = OneTapHistory.search(await OneTapHistory.list(), query);
+
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = query ? 'No replies match your search.' : 'Replies you insert will appear here.';
+            container.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => container.appendChild(this.createHistoryEntry(entry)));
+    }
+
+    /**
+     * Create the element for a single history entry
+     */
+    createHistoryEntry(entry) {
+        const item = document.createElement('div');
+        item.className = 'history-entry';
+
+        const text = document.createElement('div');
+        text.className = 'history-text';
+        text.textContent = entry.finalText;
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+
+        const details = [
+            entry.platform,
+            entry.toneLabel,
+            new Date(entry.timestamp).toLocaleString(),
+            entry.action === 'copied' ? 'copied' : '',
+            entry.edited ? 'edited' : ''
+        ].filter(Boolean).join(' · ');
+        meta.append(`${details} · `);
+
+        const link = document.createElement('a');
+        link.href = entry.postUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = entry.postTitle ? entry.postTitle.substring(0, 60) : 'Open post';
+        meta.appendChild(link);
+
+        const actions = document.createElement('div');
+        actions.className = 'item-actions';
+        actions.append(
+            this.createButton('Insert', 'Insert into the comment box on the current page', () => this.reinsertReply(entry.finalText)),
+            this.createButton('Copy', 'Copy to clipboard', async () => {
+                await navigator.clipboard.writeText(entry.finalText);
+                this.showStatus('Copied');
+            }),
+            this.createButton('Delete', 'Remove from history', async () => {
+                await OneTapHistory.remove(entry.id);
+                this.renderHistory();
+            })
+        );
+
+        item.append(text, meta, actions);
+        return item;
+    }
+
+    /**
+     * Ask the content script in the active tab to insert a saved reply
+     */
+    async reinsertReply(text) {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'insertReply', text });
+
+            if (response?.success) {
+                window.close();
+            } else {
+                this.showStatus(response?.error || 'Could not insert the reply');
+            }
+        } catch (error) {
+            this.showStatus('Open a YouTube, LinkedIn, Reddit or X page with a comment box first');
+        }
+    }
+
+    /**
+     * Download the (filtered) history as a JSON or CSV file
+     */
+    async exportHistory(format) {
+        const query = document.getElementById('history-search').value;
+        const entries = OneTapHistory.search(await OneTapHistory.list(), query);
+
+        const content = format === 'csv' ? OneTapHistory.toCSV(entries) : OneTapHistory.toJSON(entries);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const url = URL.createObjectURL(new Blob([content], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `onetap-reply-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Delete all history after confirmation
+     */
+    async clearHistory() {
+        if (!confirm('Delete all saved replies?')) return;
+
+        await OneTapHistory.clear();
+        this.renderHistory();
+    }
+
+    /**
+     * Reflect stored settings in the form controls
+     */
+    populateForm() {
+        document.getElementById('enabled').checked = this.settings.enabled;
+        document.getElementById('saveHistory').checked = this.settings.saveHistory;
+        document.getElementById('saveCopiedReplies').checked = this.settings.saveCopiedReplies;
+        document.getElementById('defaultTone').value = this.settings.defaultTone;
+        document.getElementById('replyLanguage').value = this.settings.replyLanguage;
+        document.getElementById('useFallbackTemplates').checked = this.settings.useFallbackTemplates;
+        document.getElementById('diagnostics').checked = this.settings.diagnostics;
+
+        document.querySelectorAll('[data-platform]').forEach(input => {
+            input.checked = this.settings.platforms[input.dataset.platform] !== false;
+        });
+
+        const keyboard = this.getKeyboardSettings();
+        document.getElementById('keyboardEnabled').checked = keyboard.enabled;
+        document.getElementById('keyboardToneKeys').checked = keyboard.toneKeys;
+        document.querySelectorAll('[data-key-binding]').forEach(input => {
+            input.value = keyboard[input.dataset.keyBinding];
+        });
+
+        const safety = OneTapSafety.getSettings(this.settings);
+        document.querySelectorAll('[data-safety-rule]').forEach(select => {
+            select.value = safety[select.dataset.safetyRule];
+        });
+        document.getElementById('safetyBlockedWords').value = safety.blockedWords.join('\n');
+        document.getElementById('safetyCompetitorNames').value = safety.competitorNames.join('\n');
+
+        this.renderOpenPanelShortcut();
+        this.renderSelectorPack();
+    }
+
+    /**
+     * Stored keyboard settings with defaults for keys added later
+     */
+    getKeyboardSettings() {
+        return { ...OneTapSettings.defaults.keyboard, ...this.settings.keyboard };
+    }
+
+    /**
+     * Persist one changed keyboard setting
+     */
+    saveKeyboardSetting(name, value) {
+        this.save({ keyboard: { ...this.getKeyboardSettings(), [name]: value } });
+    }
+
+    /**
+     * Persist one changed safety setting
+     */
+    saveSafetySetting(name, value) {
+        this.save({ safety: { ...OneTapSafety.getSettings(this.settings), [name]: value } });
+    }
+
+    /**
+     * Show the browser-level shortcut for opening the panel (set on chrome://extensions/shortcuts)
+     */
+    async renderOpenPanelShortcut() {
+        const commands = await chrome.commands.getAll();
+        const command = commands.find(c => c.name === 'open-reply-panel');
+        if (command && command.shortcut) {
+            document.getElementById('open-panel-shortcut').textContent = command.shortcut;
+        }
+    }
+
+    /**
+     * Show which selector pack is in use
+     */
+    renderSelectorPack() {
+        if (!OneTapSelectorPacks.apply(this.settings.selectorPack) && this.settings.selectorPack) {
+            this.save({ selectorPack: null });
+        }
+
+        const pack = this.settings.selectorPack;
+        document.getElementById('selector-pack-version').textContent = pack
+            ? `${pack.version} (imported ${new Date(pack.importedAt).toLocaleDateString()})`
+            : `bundled with ${chrome.runtime.getManifest().version}`;
+    }
+
+    /**
+     * Validate a pack file and make it the active selector pack
+     */
+    async importSelectorPack(file) {
+        let pack;
+        try {
+            pack = OneTapSelectorPacks.parse(await file.text());
+        } catch (error) {
+            const [first, ...rest] = error.message.split('\n');
+            this.showStatus(`Pack rejected: ${first}${rest.length ? ` (+${rest.length} more)` : ''}`);
+            console.warn('[OneTap Reply] Selector pack rejected:', error.message);
+            return;
+        }
+
+        await this.save({ selectorPack: { ...pack, importedAt: new Date().toISOString() } });
+        this.renderSelectorPack();
+    }
+
+    /**
+     * Download the selectors in use as a pack file to edit
+     */
+    exportSelectorPack() {
+        const pack = OneTapSelectorPacks.current();
+        const url = URL.createObjectURL(new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `onetap-reply-selectors-${pack.version}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Drop the imported pack and go back to the bundled selectors
+     */
+    async resetSelectorPack() {
+        if (!this.settings.selectorPack) return;
+        if (!confirm('Remove the imported selector pack and use the bundled selectors?')) return;
+
+        await this.save({ selectorPack: null });
+        this.renderSelectorPack();
+    }
+
+    /**
+     * Save settings as soon as a control changes
+     */
+    attachListeners() {
+        document.getElementById('enabled').addEventListener('change', (e) => {
+            this.save({ enabled: e.target.checked });
+        });
+
+        document.getElementById('add-provider').addEventListener('click', () => this.addProvider());
+        document.getElementById('add-tone').addEventListener('click', () => this.addTone());
+        document.getElementById('reset-tones').addEventListener('click', () => this.resetTones());
+        document.getElementById('add-snippet').addEventListener('click', () => this.addSnippet());
+        document.getElementById('reset-snippets').addEventListener('click', () => this.resetSnippets());
+        document.getElementById('add-persona').addEventListener('click', () => this.addPersona());
+
+        document.getElementById('activePersonaId').addEventListener('change', (e) => {
+            this.save({ activePersonaId: e.target.value });
+        });
+
+        document.getElementById('defaultTone').addEventListener('change', (e) => {
+            this.save({ defaultTone: e.target.value });
+        });
+
+        document.getElementById('replyLanguage').addEventListener('change', (e) => {
+            this.save({ replyLanguage: e.target.value });
+        });
+
+        document.getElementById('useFallbackTemplates').addEventListener('change', (e) => {
+            this.save({ useFallbackTemplates: e.target.checked });
+        });
+
+        document.getElementById('saveHistory').addEventListener('change', (e) => {
+            this.save({ saveHistory: e.target.checked });
+        });
+
+        document.getElementById('saveCopiedReplies').addEventListener('change', (e) => {
+            this.save({ saveCopiedReplies: e.target.checked });
+        });
+
+        document.getElementById('diagnostics').addEventListener('change', (e) => {
+            this.save({ diagnostics: e.target.checked });
+        });
+
+        document.querySelectorAll('[data-safety-rule]').forEach(select => {
+            select.addEventListener('change', () => {
+                this.saveSafetySetting(select.dataset.safetyRule, select.value);
+            });
+        });
+
+        document.getElementById('safetyBlockedWords').addEventListener('change', (e) => {
+            this.saveSafetySetting('blockedWords', this.splitLines(e.target.value));
+        });
+
+        document.getElementById('safetyCompetitorNames').addEventListener('change', (e) => {
+            this.saveSafetySetting('competitorNames', this.splitLines(e.target.value));
+        });
+
+        // Extensions cannot set their own command shortcuts, so send the user to Chrome's page
+        document.getElementById('change-shortcut').addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+
+        document.getElementById('keyboardEnabled').addEventListener('change', (e) => {
+            this.saveKeyboardSetting('enabled', e.target.checked);
+        });
+
+        document.getElementById('keyboardToneKeys').addEventListener('change', (e) => {
+            this.saveKeyboardSetting('toneKeys', e.target.checked);
+        });
+
+        // Record the next key pressed in a binding field
+        document.querySelectorAll('[data-key-binding]').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab' || e.key === 'Shift') return;
+                e.preventDefault();
+
+                input.value = e.key;
+                this.saveKeyboardSetting(input.dataset.keyBinding, e.key);
+            });
+        });
+
+        document.querySelectorAll('.tabs .tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+        });
+
+        document.getElementById('history-search').addEventListener('input', () => this.renderHistory());
+        document.getElementById('export-json').addEventListener('click', () => this.exportHistory('json'));
+        document.getElementById('export-csv').addEventListener('click', () => this.exportHistory('csv'));
+        document.getElementById('clear-history').addEventListener('click', () => this.clearHistory());
+
+        const packFile = document.getElementById('selector-pack-file');
+        document.getElementById('import-selector-pack').addEventListener('click', () => packFile.click());
+        packFile.addEventListener('change', () => {
+            if (packFile.files[0]) {
+                this.importSelectorPack(packFile.files[0]);
+            }
+            packFile.value = '';
+        });
+        document.getElementById('export-selector-pack').addEventListener('click', () => this.exportSelectorPack());
+        document.getElementById('reset-selector-pack').addEventListener('click', () => this.resetSelectorPack());
+
+        document.querySelectorAll('[data-platform]').forEach(input => {
+            input.addEventListener('change', () => {
+                const platforms = { ...this.settings.platforms, [input.dataset.platform]: input.checked };
+                this.save({ platforms });
+            });
+        });
+    }
+
+    /**
+     * Persist changed settings and flash a confirmation
+     */
+    async save(values) {
+        Object.assign(this.settings, values);
+
+        try {
+            await OneTapSettings.save(values);
+            this.showStatus('Settings saved');
+        } catch (error) {
+            console.error('[OneTap Reply] Error saving settings:', error);
+            this.showStatus('Could not save settings');
+        }
+    }
+
+    /**
+     * Show a short-lived status message
+     */
+    showStatus(message) {
+        const status = document.getElementById('status');
+        status.textContent = message;
+
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => {
+            status.textContent = '';
+        }, 2000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new OneTapPopup();
+});
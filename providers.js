@@ -0,0 +1,253 @@
+/**
+ * OneTap Reply AI Providers
+ * Adapter registry describing how to call each supported AI backend
+ */
+
+const OneTapProviders = {
+    systemPrompt: 'You are a helpful assistant that generates authentic, human-like social media replies.',
+
+    // Output token limit for short requests; longer ones get more through getMaxTokens
+    minTokens: 200,
+
+    // Characters per output token, kept low so emoji and non-English replies still fit
+    charsPerToken: 3,
+
+    /**
+     * Provider adapters keyed by type. Each adapter declares its auth style, default
+     * endpoint and model, how to build a request (with the output token limit maxTokens)
+     * and how to read the generated text.
+     * Adapters with parseStreamChunk can stream; it returns the text delta for one line.
+     */
+    adapters: {
+        huggingface: {
+            label: 'Hugging Face Inference',
+            authStyle: 'bearer',
+            defaultBaseUrl: 'https://api-inference.huggingface.co/models',
+            defaultModel: 'microsoft/DialoGPT-medium',
+            keyHint: 'Free token from huggingface.co/settings/tokens',
+
+            buildRequest(prompt, provider, { maxTokens = OneTapProviders.minTokens } = {}) {
+                return {
+                    url: `${provider.baseUrl}/${provider.model}`,
+                    body: {
+                        inputs: prompt,
+                        parameters: {
+                            max_new_tokens: maxTokens,
+                            temperature: 0.7,
+                            do_sample: true
+                        }
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                return data[0]?.generated_text || data.generated_text || '';
+            }
+        },
+
+        openai: {
+            label: 'OpenAI-compatible',
+            authStyle: 'bearer',
+            defaultBaseUrl: 'https://api.openai.com/v1',
+            defaultModel: 'gpt-4o-mini',
+            keyHint: 'Works with OpenAI, Together, Groq, OpenRouter or a local llama.cpp server',
+
+            buildRequest(prompt, provider, { stream = false, maxTokens = OneTapProviders.minTokens } = {}) {
+                return {
+                    url: `${provider.baseUrl}/chat/completions`,
+                    body: {
+                        model: provider.model,
+                        messages: [
+                            { role: 'system', content: OneTapProviders.systemPrompt },
+                            { role: 'user', content: prompt }
+                        ],
+                        max_tokens: maxTokens,
+                        temperature: 0.7,
+                        stream
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                return data.choices?.[0]?.message?.content || data.choices?.[0]?.text || '';
+            },
+
+            parseStreamChunk(line) {
+                const data = OneTapProviders.parseSseData(line);
+                return data?.choices?.[0]?.delta?.content || '';
+            }
+        },
+
+        anthropic: {
+            label: 'Anthropic Messages',
+            authStyle: 'x-api-key',
+            defaultBaseUrl: 'https://api.anthropic.com/v1',
+            defaultModel: 'claude-3-5-haiku-latest',
+            keyHint: 'API key from console.anthropic.com',
+
+            buildRequest(prompt, provider, { stream = false, maxTokens = OneTapProviders.minTokens } = {}) {
+                return {
+                    url: `${provider.baseUrl}/messages`,
+                    headers: {
+                        'anthropic-version': '2023-06-01',
+                        'anthropic-dangerous-direct-browser-access': 'true'
+                    },
+                    body: {
+                        model: provider.model,
+                        system: OneTapProviders.systemPrompt,
+                        messages: [
+                            { role: 'user', content: prompt }
+                        ],
+                        max_tokens: maxTokens,
+                        temperature: 0.7,
+                        stream
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                return (data.content || [])
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join('\n');
+            },
+
+            parseStreamChunk(line) {
+                const data = OneTapProviders.parseSseData(line);
+                return data?.type === 'content_block_delta' ? data.delta?.text || '' : '';
+            }
+        },
+
+        ollama: {
+            label: 'Ollama',
+            authStyle: 'none',
+            defaultBaseUrl: 'http://localhost:11434',
+            defaultModel: 'llama3.1',
+            keyHint: 'Runs locally, no API key needed. Start it with OLLAMA_ORIGINS=chrome-extension://*',
+
+            buildRequest(prompt, provider, { stream = false, maxTokens = OneTapProviders.minTokens } = {}) {
+                return {
+                    url: `${provider.baseUrl}/api/chat`,
+                    body: {
+                        model: provider.model,
+                        messages: [
+                            { role: 'system', content: OneTapProviders.systemPrompt },
+                            { role: 'user', content: prompt }
+                        ],
+                        stream,
+                        options: {
+                            temperature: 0.7,
+                            num_predict: maxTokens
+                        }
+                    }
+                };
+            },
+
+            parseResponse(data) {
+                return data.message?.content || data.response || '';
+            },
+
+            // Ollama streams newline-delimited JSON rather than SSE
+            parseStreamChunk(line) {
+                try {
+                    return JSON.parse(line).message?.content || '';
+                } catch (e) {
+                    return '';
+                }
+            }
+        }
+    },
+
+    /**
+     * Output tokens needed for a JSON array of count replies of up to maxLength characters
+     */
+    getMaxTokens(count, maxLength) {
+        // Quotes, commas and the brackets add a few characters per reply
+        const characters = count * (maxLength + 4) + 2;
+        return Math.max(this.minTokens, Math.ceil(characters / this.charsPerToken));
+    },
+
+    /**
+     * Look up the adapter for a provider type
+     */
+    get(type) {
+        const adapter = this.adapters[type];
+        if (!adapter) {
+            throw new Error(`Unknown AI provider type: ${type}`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Parse the JSON payload of a server-sent events "data:" line
+     */
+    parseSseData(line) {
+        if (!line.startsWith('data:')) return null;
+
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return null;
+
+        try {
+            return JSON.parse(payload);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Build authentication headers according to the adapter's auth style
+     */
+    buildAuthHeaders(adapter, apiKey) {
+        if (!apiKey) return {};
+
+        switch (adapter.authStyle) {
+            case 'bearer':
+                return { 'Authorization': `Bearer ${apiKey}` };
+            case 'x-api-key':
+                return { 'x-api-key': apiKey };
+            default:
+                return {};
+        }
+    },
+
+    /**
+     * Check whether a base URL points at a server on this machine
+     */
+    isLocalUrl(url) {
+        try {
+            const { hostname } = new URL(url);
+            return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Check whether a provider entry has everything it needs to be called
+     */
+    isConfigured(provider) {
+        const adapter = this.adapters[provider.type];
+        if (!adapter || !provider.baseUrl || !provider.model) return false;
+
+        // Local servers (Ollama, llama.cpp) usually run without authentication
+        const needsKey = adapter.authStyle !== 'none' && !this.isLocalUrl(provider.baseUrl);
+        return !needsKey || Boolean(provider.apiKey);
+    },
+
+    /**
+     * Create a new provider entry with the adapter's defaults
+     */
+    createProvider(type) {
+        const adapter = this.get(type);
+
+        return {
+            id: `${type}-${Date.now().toString(36)}`,
+            type,
+            label: adapter.label,
+            baseUrl: adapter.defaultBaseUrl,
+            model: adapter.defaultModel,
+            apiKey: '',
+            enabled: true
+        };
+    }
+};
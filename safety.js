@@ -0,0 +1,215 @@
+/**
+ * OneTap Reply Safety
+ * Local checks run on every generated reply before it reaches the panel: profanity and slurs,
+ * the user's blocklist and competitor names, links or contact details the page never mentioned,
+ * and personal experiences the model made up
+ */
+
+const OneTapSafety = {
+    // Rules in the order their reasons are listed; each can drop a reply, flag it or be off
+    rules: {
+        profanity: {
+            label: 'Profanity and slurs',
+            instruction: 'Do not use profanity, insults or slurs.'
+        },
+        blocklist: {
+            label: 'Blocked words',
+            instruction: 'Do not use any of these words: {{list}}.'
+        },
+        competitors: {
+            label: 'Competitor names',
+            instruction: 'Do not mention {{list}}.'
+        },
+        contactDetails: {
+            label: 'Links, emails and phone numbers not on the page',
+            instruction: 'Do not include links, email addresses or phone numbers.'
+        },
+        claims: {
+            label: 'Made-up personal experiences',
+            instruction: 'Do not claim personal experiences such as buying, owning or using something.'
+        }
+    },
+
+    // Matched as whole words once look-alike characters are undone ("sh1t", "$hit")
+    profanity: [
+        'fuck', 'fucks', 'fucking', 'fucked', 'fucker', 'motherfucker', 'shit', 'shitty', 'bullshit',
+        'bitch', 'bitches', 'bastard', 'asshole', 'assholes', 'dickhead', 'cunt', 'wtf', 'stfu'
+    ],
+
+    slurs: [
+        'nigger', 'nigga', 'faggot', 'fag', 'retard', 'retarded', 'tranny', 'chink', 'spic', 'kike', 'dyke'
+    ],
+
+    lookalikes: { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' },
+
+    // English phrases that claim something happened to the person replying
+    claimPatterns: [
+        /\bI(?:['’]ve| have)? (?:just |recently |also |actually )?(?:bought|purchased|ordered|tried|tested|installed|switched to)\b/i,
+        /\bI(?:['’]ve| have)? (?:been using|used (?:it|this|them|one)|owned|own (?:one|it|this|a|the))\b/i,
+        /\bI (?:work|worked) (?:at|for)\b/i,
+        /\bI(?:['’]ve| have)? (?:stayed at|eaten at|visited|met)\b/i,
+        /\bmy (?:wife|husband|son|daughter|kids|doctor|boss|team at)\b/i,
+        /\bas an? (?:doctor|nurse|lawyer|teacher|parent|mom|dad|engineer|developer|founder|customer|user)\b/i
+    ],
+
+    /**
+     * Safety settings with defaults for keys added later
+     */
+    getSettings(settings) {
+        return { ...OneTapSettings.defaults.safety, ...(settings && settings.safety) };
+    },
+
+    /**
+     * Check a reply against every enabled rule. action is 'drop' when any drop rule matched,
+     * 'flag' when only flag rules did and null for a clean reply.
+     */
+    review(reply, { context = {}, settings } = {}) {
+        const safety = this.getSettings(settings);
+        const issues = [];
+
+        Object.keys(this.rules).forEach(rule => {
+            const action = safety[rule];
+            if (action !== 'drop' && action !== 'flag') return;
+
+            this.check(rule, reply, context, safety).forEach(reason => issues.push({ rule, reason, action }));
+        });
+
+        const action = issues.some(issue => issue.action === 'drop') ? 'drop' : issues.length > 0 ? 'flag' : null;
+        return { action, issues };
+    },
+
+    /**
+     * Reasons a reply breaks one rule, empty when it does not
+     */
+    check(rule, reply, context, safety) {
+        switch (rule) {
+            case 'profanity':
+                return this.checkProfanity(reply);
+            case 'blocklist':
+                return this.findPhrases(reply, safety.blockedWords).map(word => `Contains the blocked word "${word}"`);
+            case 'competitors':
+                return this.findPhrases(reply, safety.competitorNames).map(name => `Mentions ${name}`);
+            case 'contactDetails':
+                return this.checkContactDetails(reply, context);
+            case 'claims':
+                return this.checkClaims(reply);
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Profanity or slurs, with "sh1t" and "$hit" treated as "shit"
+     */
+    checkProfanity(reply) {
+        const words = reply.toLowerCase().split(/\s+/).map(word => word
+            .replace(/^[^\p{L}\p{N}@$]+|[^\p{L}\p{N}@$]+$/gu, '')
+            .replace(/[013457@$!]/g, char => this.lookalikes[char]));
+
+        const reasons = [];
+        if (words.some(word => this.slurs.includes(word))) {
+            reasons.push('Contains a slur');
+        }
+        if (words.some(word => this.profanity.includes(word))) {
+            reasons.push('Contains profanity');
+        }
+        return reasons;
+    },
+
+    /**
+     * Entries of a user list that appear in the reply as whole words
+     */
+    findPhrases(reply, phrases = []) {
+        const text = ` ${OneTapLanguage.tokenize(reply).join(' ')} `;
+        return phrases.filter(phrase => {
+            const words = OneTapLanguage.tokenize(phrase).join(' ');
+            return words && text.includes(` ${words} `);
+        });
+    },
+
+    /**
+     * Links, email addresses and phone numbers that appear nowhere on the page, which the
+     * model has most likely invented
+     */
+    checkContactDetails(reply, context) {
+        const source = this.getSourceText(context);
+        const sourceLinks = source.toLowerCase();
+        const sourceDigits = source.replace(/\D/g, '');
+        const reasons = [];
+
+        const emails = reply.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || [];
+        if (emails.some(email => !sourceLinks.includes(email.toLowerCase()))) {
+            reasons.push('Includes an email address that is not on the page');
+        }
+
+        const withoutEmails = reply.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, ' ');
+        const links = withoutEmails.match(/\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|org|net|io|co|dev|ai|app|ly|me|info|xyz|gg|tv)\b(?:\/\S*)?/gi) || [];
+        if (links.some(link => !sourceLinks.includes(this.normalizeLink(link)))) {
+            reasons.push('Includes a link that is not on the page');
+        }
+
+        const phones = reply.match(/(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g) || [];
+        if (phones.some(phone => !sourceDigits.includes(phone.replace(/\D/g, '')))) {
+            reasons.push('Includes a phone number that is not on the page');
+        }
+
+        return reasons;
+    },
+
+    /**
+     * Host and path of a link, lowercase, as it would appear in page text
+     */
+    normalizeLink(link) {
+        return link
+            .toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '')
+            .replace(/[.,!?;:)\]'"]+$/, '')
+            .replace(/\/$/, '');
+    },
+
+    /**
+     * Everything the reply could legitimately be quoting from: the post, its attachments, the
+     * comments and the user's own draft
+     */
+    getSourceText(context) {
+        const parts = [
+            context.postTitle,
+            context.postContent,
+            context.quotedPost && context.quotedPost.text,
+            context.replyTo && context.replyTo.text,
+            context.authorInfo && context.authorInfo.handle,
+            context.draft && context.draft.text
+        ];
+
+        (context.attachments || []).forEach(attachment => {
+            parts.push(attachment.title, attachment.description, attachment.source);
+        });
+        (context.existingComments || []).concat(context.thread || []).forEach(comment => {
+            parts.push(comment.text);
+        });
+
+        return parts.filter(Boolean).join('\n');
+    },
+
+    /**
+     * Claims of first-hand experience ("I bought this", "as a doctor")
+     */
+    checkClaims(reply) {
+        return this.claimPatterns
+            .map(pattern => reply.match(pattern))
+            .filter(Boolean)
+            .map(match => `Claims a personal experience: "${match[0]}"`);
+    },
+
+    /**
+     * Prompt lines asking the model to avoid what got earlier replies dropped
+     */
+    getInstructions(issues, settings) {
+        const safety = this.getSettings(settings);
+        const lists = { blocklist: safety.blockedWords, competitors: safety.competitorNames };
+        const rules = [...new Set(issues.map(issue => issue.rule))];
+
+        return rules.map(rule => this.rules[rule].instruction.replace('{{list}}', (lists[rule] || []).join(', ')));
+    }
+};
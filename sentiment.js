@@ -0,0 +1,164 @@
+/**
+ * OneTap Reply Sentiment
+ * Offline lexicon-based sentiment and emotion analysis, and the tone guidance each emotion implies
+ */
+
+const OneTapSentiment = {
+    // Scores for emoji, shared by every language
+    emoji: {
+        '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😊': 2, '🙂': 1, '😍': 3, '🥰': 3, '❤': 3, '💙': 2,
+        '👍': 2, '👏': 2, '🙌': 2, '🎉': 3, '🥳': 3, '🎊': 2, '🏆': 2, '🔥': 2, '💯': 2, '✨': 1,
+        '🌟': 2, '😂': 2, '🤣': 2, '🚀': 2,
+        '😢': -2, '😭': -3, '💔': -3, '😞': -2, '😔': -2, '😟': -2, '😩': -2, '😫': -2, '😡': -3,
+        '😠': -3, '🤬': -3, '😤': -2, '👎': -2, '🙄': -1, '😱': -1, '🕊': -1
+    },
+
+    // Emoji that signal an emotion regardless of language
+    emotionEmoji: {
+        celebration: ['🎉', '🥳', '🎊', '🏆', '🍾'],
+        grief: ['💔', '🕊', '😭'],
+        frustration: ['😤', '😡', '🤬', '🙄']
+    },
+
+    // Emotion labels, strongest first; ties go to the earlier one
+    emotionOrder: ['grief', 'frustration', 'celebration', 'announcement', 'question'],
+
+    // Scale applied to a word after a negator ("not bad" is mildly positive)
+    negationFactor: -0.74,
+
+    // How many words back a negator or intensifier still applies
+    scopeWindow: 3,
+
+    /**
+     * How the reply panel and prompt should treat each emotion: tones to suggest, tones
+     * to warn about, and an extra prompt instruction
+     */
+    guidance: {
+        grief: {
+            recommended: ['supportive', 'professional'],
+            avoid: {
+                humorous: 'This post is about a loss. A funny reply may come across as insensitive.',
+                question: 'This post is about a loss. Questions may feel intrusive right now.'
+            },
+            instruction: 'The post is about a loss or hardship: be kind and sincere, no jokes and no exclamation marks.'
+        },
+        frustration: {
+            recommended: ['supportive', 'analytical'],
+            avoid: {
+                humorous: 'The author sounds frustrated. A joke may read as making light of it.'
+            },
+            instruction: 'The author is frustrated: acknowledge it before offering anything else.'
+        },
+        celebration: {
+            recommended: ['supportive', 'conversational', 'humorous'],
+            avoid: {
+                analytical: 'This is a celebration. A critical take may feel out of place.'
+            },
+            instruction: 'The post celebrates something: share in it warmly.'
+        },
+        announcement: {
+            recommended: ['professional', 'question', 'supportive'],
+            avoid: {},
+            instruction: ''
+        },
+        question: {
+            recommended: ['analytical', 'conversational'],
+            avoid: {},
+            instruction: 'The author asked a question: make sure each reply answers it.'
+        }
+    },
+
+    /**
+     * Sentiment ('positive', 'negative' or 'neutral'), a score from -1 to 1 and the
+     * dominant emotion label (null when none stands out)
+     */
+    analyze(text, language = OneTapLanguage.defaultLanguage) {
+        if (!text) return { sentiment: 'neutral', score: 0, emotion: null };
+
+        // English cues are always included since they are common in other languages' posts too
+        const english = OneTapLanguage.get('en');
+        const local = OneTapLanguage.get(language);
+        const data = {
+            lexicon: { ...english.lexicon, ...local.lexicon },
+            negators: new Set([...english.negators, ...local.negators]),
+            intensifiers: { ...english.intensifiers, ...local.intensifiers }
+        };
+
+        // "isn't" and "can't" tokenize as "isn t", so spell the negation out first
+        const words = OneTapLanguage.tokenize(text.replace(/n['’]t\b/gi, ' not'));
+
+        let total = this.scoreWords(words, data);
+        [...text.matchAll(/\p{Extended_Pictographic}/gu)].forEach(([symbol]) => {
+            total += this.emoji[symbol] || 0;
+        });
+
+        // Exclamation marks strengthen whatever the text already leans towards
+        const exclamations = Math.min(3, (text.match(/!/g) || []).length);
+        total += Math.sign(total) * exclamations * 0.3;
+
+        const score = total / Math.sqrt(total * total + 15);
+        const sentiment = score >= 0.05 ? 'positive' : score <= -0.05 ? 'negative' : 'neutral';
+
+        return { sentiment, score, emotion: this.detectEmotion(text, words, [english, local]) };
+    },
+
+    /**
+     * Sum of lexicon scores, with negators and intensifiers applied to the words after them
+     */
+    scoreWords(words, { lexicon, negators, intensifiers }) {
+        let total = 0;
+
+        for (let i = 0; i < words.length; i++) {
+            // Prefer the longest phrase starting here ("laid off" over "laid")
+            let length = 0;
+            let value = 0;
+            for (let size = 3; size >= 1; size--) {
+                const phrase = words.slice(i, i + size).join(' ');
+                if (lexicon[phrase] !== undefined) {
+                    length = size;
+                    value = lexicon[phrase];
+                    break;
+                }
+            }
+            if (length === 0) continue;
+
+            const before = words.slice(Math.max(0, i - this.scopeWindow), i);
+            before.forEach(word => {
+                if (intensifiers[word]) value *= intensifiers[word];
+            });
+            if (before.some(word => negators.has(word))) {
+                value *= this.negationFactor;
+            }
+
+            total += value;
+            i += length - 1;
+        }
+
+        return total;
+    },
+
+    /**
+     * Emotion label with the most cues. Questions only win when nothing else is present.
+     */
+    detectEmotion(text, words, languages) {
+        const joined = ` ${words.join(' ')} `;
+        const hits = {};
+
+        this.emotionOrder.forEach(emotion => {
+            const cues = new Set(languages.flatMap(language => language.emotions[emotion] || []));
+            hits[emotion] = [...cues].filter(cue => joined.includes(` ${cue} `)).length +
+                (this.emotionEmoji[emotion] || []).filter(symbol => text.includes(symbol)).length;
+        });
+        hits.question = text.includes('?') ? 0.5 : 0;
+
+        const best = this.emotionOrder.reduce((winner, emotion) => (hits[emotion] > hits[winner] ? emotion : winner));
+        return hits[best] > 0 ? best : null;
+    },
+
+    /**
+     * Guidance for an emotion, with empty lists when there is none
+     */
+    getGuidance(emotion) {
+        return this.guidance[emotion] || { recommended: [], avoid: {}, instruction: '' };
+    }
+};
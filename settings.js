@@ -0,0 +1,424 @@
+/**
+ * OneTap Reply Settings
+ * Shared defaults and chrome.storage.local helpers used by the content script, popup and background worker
+ */
+
+const OneTapSettings = {
+    /**
+     * Default values for every stored setting
+     */
+    defaults: {
+        enabled: true,
+        platforms: {
+            youtube: true,
+            linkedin: true,
+            reddit: true,
+            twitter: true
+        },
+        // Ordered fallback chain: enabled providers are tried top to bottom
+        providers: [
+            {
+                id: 'huggingface',
+                type: 'huggingface',
+                label: 'Hugging Face',
+                baseUrl: 'https://api-inference.huggingface.co/models',
+                model: 'microsoft/DialoGPT-medium',
+                apiKey: '',
+                enabled: true
+            },
+            {
+                id: 'together',
+                type: 'openai',
+                label: 'Together AI',
+                baseUrl: 'https://api.together.xyz/v1',
+                model: 'meta-llama/Llama-2-7b-chat-hf',
+                apiKey: '',
+                enabled: true
+            },
+            {
+                id: 'openai',
+                type: 'openai',
+                label: 'OpenAI',
+                baseUrl: 'https://api.openai.com/v1',
+                model: 'gpt-4o-mini',
+                apiKey: '',
+                enabled: false
+            },
+            {
+                id: 'anthropic',
+                type: 'anthropic',
+                label: 'Anthropic',
+                baseUrl: 'https://api.anthropic.com/v1',
+                model: 'claude-3-5-haiku-latest',
+                apiKey: '',
+                enabled: false
+            },
+            {
+                id: 'ollama',
+                type: 'ollama',
+                label: 'Ollama (local)',
+                baseUrl: 'http://localhost:11434',
+                model: 'llama3.1',
+                apiKey: '',
+                enabled: false
+            }
+        ],
+        // Reply tones in panel order
+        tones: [
+            {
+                id: 'supportive',
+                label: 'Supportive',
+                icon: '💝',
+                desc: 'Encouraging and positive',
+                instructions: [
+                    'Show encouragement and positivity',
+                    'Acknowledge the content meaningfully',
+                    'Add personal touch without being fake'
+                ],
+                hiddenOn: []
+            },
+            {
+                id: 'analytical',
+                label: 'Analytical',
+                icon: '🧠',
+                desc: 'Thoughtful and insightful',
+                instructions: [
+                    'Provide thoughtful insights',
+                    'Ask intelligent questions',
+                    'Reference specific points from the content'
+                ],
+                hiddenOn: []
+            },
+            {
+                id: 'conversational',
+                label: 'Casual',
+                icon: '💬',
+                desc: 'Friendly and relaxed',
+                instructions: [
+                    'Sound natural and friendly',
+                    'Use casual language',
+                    'Share relatable thoughts or experiences'
+                ],
+                hiddenOn: []
+            },
+            {
+                id: 'question',
+                label: 'Curious',
+                icon: '❓',
+                desc: 'Ask engaging questions',
+                instructions: [
+                    'Ask engaging, specific questions',
+                    'Show genuine curiosity',
+                    'Reference the content directly'
+                ],
+                hiddenOn: []
+            },
+            {
+                id: 'humorous',
+                label: 'Funny',
+                icon: '😄',
+                desc: 'Light and entertaining',
+                instructions: [
+                    'Add appropriate humor or wit',
+                    'Keep it light and fun',
+                    'Avoid offensive content'
+                ],
+                hiddenOn: []
+            },
+            {
+                id: 'professional',
+                label: 'Professional',
+                icon: '👔',
+                desc: 'Business appropriate',
+                instructions: [
+                    'Maintain professional tone',
+                    'Offer constructive insights',
+                    'Network appropriately'
+                ],
+                hiddenOn: []
+            }
+        ],
+        // Snippet library used as offline fallback and in the panel's Snippets tab.
+        // An empty tone makes a snippet available for every tone (see templates.js for the syntax);
+        // fallbacks prefer snippets in the reply language.
+        snippets: [
+            { id: 'supportive-1', tone: 'supportive', language: 'en', hiddenOn: [], text: 'Really appreciate you sharing this{{#if topic1}} about {{topic1}}{{/if}}! {{#if sentiment=positive}}Your enthusiasm is contagious! 🌟{{else}}Thanks for the thoughtful perspective.{{/if}}' },
+            { id: 'supportive-2', tone: 'supportive', language: 'en', hiddenOn: [], text: 'This resonates with me so much{{#if topic1}}, especially the point about {{topic1}}{{/if}}. Keep up the great work! 💪' },
+            { id: 'supportive-3', tone: 'supportive', language: 'en', hiddenOn: [], text: 'Love seeing content like this{{#if author.firstName}} from {{author.firstName}}{{/if}}. {{#if sentiment=positive}}Your positivity is inspiring!{{else}}Really valuable insights here.{{/if}}' },
+            { id: 'analytical-1', tone: 'analytical', language: 'en', hiddenOn: [], text: 'Interesting perspective{{#if topic1}} on {{topic1}}{{/if}}. Have you considered how this might impact {{topic2|the broader industry}}?' },
+            { id: 'analytical-2', tone: 'analytical', language: 'en', hiddenOn: [], text: 'The point about {{topic1|this topic}} is particularly compelling. What led you to this conclusion?' },
+            { id: 'analytical-3', tone: 'analytical', language: 'en', hiddenOn: [], text: 'This aligns with some recent trends I\'ve noticed{{#if topic1}} in {{topic1}}{{/if}}. Would love to hear more about your experience with this.' },
+            { id: 'conversational-1', tone: 'conversational', language: 'en', hiddenOn: [], text: 'Totally get what you mean{{#if topic1}} about {{topic1}}{{/if}}! {{#if sentiment=positive}}Had a similar experience recently 😊{{else}}Been thinking about this too lately.{{/if}}' },
+            { id: 'conversational-2', tone: 'conversational', language: 'en', hiddenOn: [], text: 'This is so relatable{{#if author.firstName}} {{author.firstName}}{{/if}}! {{#if topic1}}{{topic1.capitalized}} is such a hot topic right now.{{else}}Thanks for sharing your thoughts.{{/if}}' },
+            { id: 'conversational-3', tone: 'conversational', language: 'en', hiddenOn: [], text: 'Love this take{{#if topic1}} on {{topic1}}{{/if}}! Mind if I ask what got you interested in this area?' },
+            { id: 'question-1', tone: 'question', language: 'en', hiddenOn: [], text: 'Really curious about your thoughts on {{topic1|this topic}}. What\'s been your experience with it?' },
+            { id: 'question-2', tone: 'question', language: 'en', hiddenOn: [], text: 'This is fascinating! How did you first get involved with {{topic1|this area}}?' },
+            { id: 'question-3', tone: 'question', language: 'en', hiddenOn: [], text: 'Great insights{{#if author.firstName}} {{author.firstName}}{{/if}}! What would you say is the biggest challenge in {{topic1|this field}} right now?' },
+            { id: 'humorous-1', tone: 'humorous', language: 'en', hiddenOn: [], text: '{{#if sentiment=positive}}Your enthusiasm is infectious! 😄{{else}}Well, that escalated quickly! 😅{{/if}} {{#if topic1}}The {{topic1}} struggle is real!{{else}}Can totally relate to this!{{/if}}' },
+            { id: 'humorous-2', tone: 'humorous', language: 'en', hiddenOn: [], text: 'Plot twist: I was just thinking about this exact thing! {{#if topic1}}Great minds think about {{topic1}} apparently 🧠{{else}}Universe works in mysterious ways! 🌟{{/if}}' },
+            { id: 'humorous-3', tone: 'humorous', language: 'en', hiddenOn: [], text: 'Not me reading this and nodding like I\'m in a meeting 😂 {{#if topic1}}{{topic1.capitalized}} hits different!{{else}}So accurate it hurts!{{/if}}' },
+            { id: 'professional-1', tone: 'professional', language: 'en', hiddenOn: [], text: 'Thank you for sharing these insights{{#if topic1}} on {{topic1}}{{/if}}. This perspective adds valuable context to the current industry discussion.' },
+            { id: 'professional-2', tone: 'professional', language: 'en', hiddenOn: [], text: 'Excellent analysis{{#if author.firstName}}, {{author.firstName}}{{/if}}. The point about {{topic1|this approach}} particularly resonates with current best practices.' },
+            { id: 'professional-3', tone: 'professional', language: 'en', hiddenOn: [], text: 'This contributes meaningfully to the conversation around {{topic1|this topic}}. Would be interested to connect and discuss further.' },
+            { id: 'supportive-es-1', tone: 'supportive', language: 'es', hiddenOn: [], text: '¡Gracias por compartir esto{{#if topic1}} sobre {{topic1}}{{/if}}! {{#if sentiment=positive}}¡Tu entusiasmo es contagioso! 🌟{{else}}Una perspectiva muy valiosa.{{/if}}' },
+            { id: 'analytical-es-1', tone: 'analytical', language: 'es', hiddenOn: [], text: 'Perspectiva interesante{{#if topic1}} sobre {{topic1}}{{/if}}. ¿Cómo crees que esto afectará a {{topic2|la industria en general}}?' },
+            { id: 'conversational-es-1', tone: 'conversational', language: 'es', hiddenOn: [], text: '¡Totalmente de acuerdo{{#if author.firstName}}, {{author.firstName}}{{/if}}! {{#if topic1}}Justo estaba pensando en {{topic1}}.{{else}}Gracias por compartir.{{/if}}' },
+            { id: 'question-es-1', tone: 'question', language: 'es', hiddenOn: [], text: '¡Qué interesante! ¿Cómo empezaste con {{topic1|este tema}}?' },
+            { id: 'humorous-es-1', tone: 'humorous', language: 'es', hiddenOn: [], text: 'Giro inesperado: ¡justo estaba pensando en esto! {{#if topic1}}Las grandes mentes piensan en {{topic1}} 🧠{{else}}El universo es misterioso 🌟{{/if}}' },
+            { id: 'professional-es-1', tone: 'professional', language: 'es', hiddenOn: [], text: 'Gracias por compartir este análisis{{#if topic1}} sobre {{topic1}}{{/if}}. Aporta un contexto valioso a la conversación actual.' },
+            { id: 'supportive-de-1', tone: 'supportive', language: 'de', hiddenOn: [], text: 'Danke fürs Teilen{{#if topic1}} zum Thema {{topic1}}{{/if}}! {{#if sentiment=positive}}Deine Begeisterung steckt an! 🌟{{else}}Eine wirklich wertvolle Perspektive.{{/if}}' },
+            { id: 'analytical-de-1', tone: 'analytical', language: 'de', hiddenOn: [], text: 'Spannende Perspektive{{#if topic1}} auf {{topic1}}{{/if}}. Wie wirkt sich das deiner Meinung nach auf {{topic2|die Branche}} aus?' },
+            { id: 'conversational-de-1', tone: 'conversational', language: 'de', hiddenOn: [], text: 'Kann ich total nachvollziehen{{#if author.firstName}}, {{author.firstName}}{{/if}}! {{#if topic1}}Über {{topic1}} habe ich auch gerade nachgedacht.{{else}}Danke fürs Teilen.{{/if}}' },
+            { id: 'question-de-1', tone: 'question', language: 'de', hiddenOn: [], text: 'Sehr spannend! Wie bist du zu {{topic1|diesem Thema}} gekommen?' },
+            { id: 'humorous-de-1', tone: 'humorous', language: 'de', hiddenOn: [], text: 'Plot-Twist: Genau darüber habe ich gerade nachgedacht! {{#if topic1}}Große Geister denken offenbar an {{topic1}} 🧠{{else}}Das Universum ist mysteriös 🌟{{/if}}' },
+            { id: 'professional-de-1', tone: 'professional', language: 'de', hiddenOn: [], text: 'Vielen Dank für diese Einblicke{{#if topic1}} zu {{topic1}}{{/if}}. Ein wertvoller Beitrag zur aktuellen Diskussion.' },
+            { id: 'supportive-hi-1', tone: 'supportive', language: 'hi', hiddenOn: [], text: 'इसे साझा करने के लिए धन्यवाद{{#if author.firstName}} {{author.firstName}}{{/if}}! {{#if sentiment=positive}}आपका उत्साह सच में प्रेरणादायक है! 🌟{{else}}बहुत उपयोगी नज़रिया है।{{/if}}' },
+            { id: 'analytical-hi-1', tone: 'analytical', language: 'hi', hiddenOn: [], text: '{{#if topic1}}{{topic1}} पर {{/if}}दिलचस्प नज़रिया। आपको क्या लगता है, इसका {{topic2|पूरी इंडस्ट्री}} पर क्या असर होगा?' },
+            { id: 'conversational-hi-1', tone: 'conversational', language: 'hi', hiddenOn: [], text: 'बिल्कुल सही बात कही{{#if author.firstName}} {{author.firstName}}{{/if}}! {{#if topic1}}मैं भी हाल ही में {{topic1}} के बारे में सोच रहा था।{{else}}शेयर करने के लिए शुक्रिया।{{/if}}' },
+            { id: 'question-hi-1', tone: 'question', language: 'hi', hiddenOn: [], text: 'बहुत रोचक! आपने {{topic1|इस विषय}} में शुरुआत कैसे की?' },
+            { id: 'humorous-hi-1', tone: 'humorous', language: 'hi', hiddenOn: [], text: 'ट्विस्ट: मैं अभी इसी के बारे में सोच रहा था! 😄 {{#if topic1}}लगता है {{topic1}} सबके दिमाग में है 🧠{{else}}कमाल का इत्तेफ़ाक़ है! 🌟{{/if}}' },
+            { id: 'professional-hi-1', tone: 'professional', language: 'hi', hiddenOn: [], text: '{{#if topic1}}{{topic1}} पर {{/if}}ये जानकारी साझा करने के लिए धन्यवाद। यह चर्चा में बहुत मूल्यवान संदर्भ जोड़ती है।' }
+        ],
+        defaultTone: '',
+        // 'auto' replies in the detected language of the post or comment, otherwise a language code
+        replyLanguage: 'auto',
+        // Voice profiles folded into every prompt; the active one is switchable from the panel
+        personas: [],
+        activePersonaId: '',
+        useFallbackTemplates: true,
+        saveHistory: true,
+        saveCopiedReplies: false,
+        // Keys handled while the reply panel has focus; number keys 1-9 pick a tone when toneKeys is on
+        keyboard: {
+            enabled: true,
+            toneKeys: true,
+            next: 'ArrowDown',
+            previous: 'ArrowUp',
+            insert: 'Enter',
+            edit: 'e',
+            close: 'Escape'
+        },
+        // Shape of generated replies, chosen in the reply panel: a replyLengths id, whether to use
+        // emoji, hashtags per reply, whether to @mention the person replied to, and replies per generation
+        replyShape: {
+            length: 'medium',
+            emoji: true,
+            hashtags: 0,
+            mentionAuthor: false,
+            variants: 3
+        },
+        // Checks on generated replies (see safety.js): each rule hides a reply ('drop'), shows it
+        // with a warning ('flag') or is 'off'. Dropped replies are regenerated.
+        safety: {
+            profanity: 'drop',
+            blocklist: 'drop',
+            competitors: 'drop',
+            contactDetails: 'drop',
+            claims: 'flag',
+            blockedWords: [],
+            competitorNames: []
+        },
+        // Selector self-test overlay on supported pages, for reporting broken markup
+        diagnostics: false,
+        // Imported selector pack (see platforms/packs.js), null for the bundled selectors
+        selectorPack: null
+    },
+
+    /**
+     * Reply length targets offered in the reply panel, in characters
+     */
+    replyLengths: [
+        { id: 'short', label: 'Short', max: 80 },
+        { id: 'medium', label: 'Medium', max: 150 },
+        { id: 'long', label: 'Long', max: 300 }
+    ],
+
+    /**
+     * One-click rewrites offered on every reply card. lengthFactor scales the panel's length
+     * target; wordingOnly rewrites leave out the shape and topic rules so nothing else changes.
+     */
+    refineActions: [
+        { id: 'shorter', label: 'Shorter', instruction: 'It is noticeably shorter but keeps the main point', lengthFactor: 0.6 },
+        { id: 'longer', label: 'Longer', instruction: 'It is longer, adding one more relevant thought or detail', lengthFactor: 2 },
+        { id: 'formal', label: 'More formal', instruction: 'It sounds more formal and polished' },
+        { id: 'casual', label: 'More casual', instruction: 'It sounds more casual and relaxed' },
+        { id: 'question', label: 'Add a question', instruction: 'It ends with a genuine, specific question' },
+        { id: 'grammar', label: 'Fix grammar', instruction: 'Grammar, spelling and punctuation are correct, with nothing else changed', wordingOnly: true },
+        { id: 'specific', label: 'More specific', instruction: 'It refers to a concrete detail from the post instead of speaking in general terms' }
+    ],
+
+    /**
+     * Ways to use a draft already typed in the comment box. insertMode is the insertion mode
+     * selected along with each.
+     */
+    draftModes: [
+        { id: 'polish', label: 'Polish my draft', icon: '✨', insertMode: 'replace' },
+        { id: 'finish', label: 'Finish my sentence', icon: '✍️', insertMode: 'caret' },
+        { id: 'notes', label: 'Generate from these notes', icon: '📝', insertMode: 'replace' }
+    ],
+
+    /**
+     * Where a chosen reply goes when the comment box already has text
+     */
+    insertModes: [
+        { id: 'replace', label: 'Replace my draft' },
+        { id: 'append', label: 'Add after my draft' },
+        { id: 'caret', label: 'Insert at the cursor' }
+    ],
+
+    /**
+     * Platforms the extension runs on
+     */
+    platforms: [
+        { id: 'youtube', label: 'YouTube' },
+        { id: 'linkedin', label: 'LinkedIn' },
+        { id: 'reddit', label: 'Reddit' },
+        { id: 'twitter', label: 'X' }
+    ],
+
+    // Settings only the popup and background worker read. Content scripts leave them out,
+    // so API keys never enter the pages the extension runs on.
+    privateKeys: ['providers'],
+
+    /**
+     * Load all settings, filling in defaults for anything not stored yet
+     */
+    async load() {
+        return chrome.storage.local.get(this.defaults);
+    },
+
+    /**
+     * Load the settings content scripts use: everything but privateKeys
+     */
+    async loadForPage() {
+        return chrome.storage.local.get(this.getPageDefaults());
+    },
+
+    /**
+     * Defaults without privateKeys
+     */
+    getPageDefaults() {
+        return Object.fromEntries(Object.entries(this.defaults).filter(([key]) => !this.privateKeys.includes(key)));
+    },
+
+    /**
+     * Persist one or more settings
+     */
+    async save(values) {
+        return chrome.storage.local.set(values);
+    },
+
+    /**
+     * Convert settings stored by older versions
+     */
+    async migrate() {
+        await this.migrateProviders();
+        await this.migrateToneTemplates();
+    },
+
+    /**
+     * Hugging Face token the first release kept in each site's localStorage → the provider
+     * chain. Runs in the content script, the only place that can read it, hands the token to
+     * the background worker and deletes it so the site's own scripts can no longer read it.
+     */
+    async migrateLegacyPageKey() {
+        const storageKey = 'onetap-api-config';
+        const stored = localStorage.getItem(storageKey);
+        if (stored === null) return;
+
+        let token = '';
+        try {
+            token = JSON.parse(stored).huggingFace || '';
+        } catch (e) {
+            // Unreadable, so there is nothing to keep
+        }
+
+        if (token) {
+            const response = await chrome.runtime.sendMessage({ type: 'importLegacyKey', token });
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'Background worker did not answer');
+            }
+        }
+
+        localStorage.removeItem(storageKey);
+    },
+
+    /**
+     * Give the Hugging Face provider a token unless it already has one. Background worker only.
+     */
+    async importLegacyKey(token) {
+        const { providers } = await this.load();
+        const huggingFace = providers.find(provider => provider.type === 'huggingface');
+
+        if (!huggingFace) {
+            const bundled = this.defaults.providers.find(provider => provider.type === 'huggingface');
+            await this.save({ providers: [...providers, { ...bundled, apiKey: token }] });
+        } else if (!huggingFace.apiKey) {
+            huggingFace.apiKey = token;
+            await this.save({ providers });
+        }
+    },
+
+    /**
+     * Single provider with keys and models maps → ordered provider chain
+     */
+    async migrateProviders() {
+        const stored = await chrome.storage.local.get(['providers', 'provider', 'apiKeys', 'models']);
+        if (stored.providers || !stored.apiKeys) return;
+
+        const providers = this.defaults.providers.map(provider => ({
+            ...provider,
+            apiKey: stored.apiKeys[provider.id] || provider.apiKey,
+            model: stored.models?.[provider.id] || provider.model
+        }));
+
+        // Keep the previously selected provider at the front of the chain
+        if (stored.provider === 'together') {
+            providers.unshift(...providers.splice(1, 1));
+        }
+
+        await chrome.storage.local.set({ providers });
+        await chrome.storage.local.remove(['provider', 'apiKeys', 'models']);
+    },
+
+    /**
+     * Per-tone fallback templates → snippets in the shared library
+     */
+    async migrateToneTemplates() {
+        const stored = await chrome.storage.local.get(['tones', 'snippets']);
+        if (!stored.tones || !stored.tones.some(tone => tone.templates)) return;
+
+        // Copied so the shared defaults keep only the bundled snippets
+        const snippets = [...(stored.snippets || this.defaults.snippets)];
+        stored.tones.forEach(tone => {
+            (tone.templates || []).forEach((text, index) => {
+                snippets.push({ id: `${tone.id}-custom-${index + 1}`, tone: tone.id, language: 'en', hiddenOn: [], text });
+            });
+        });
+
+        const tones = stored.tones.map(({ templates, ...tone }) => tone);
+        await chrome.storage.local.set({ tones, snippets });
+    },
+
+    /**
+     * Invoke callback with the changed settings whenever storage is updated. Content scripts
+     * pass { page: true } to leave out privateKeys.
+     */
+    onChange(callback, { page = false } = {}) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+
+            const updated = {};
+            Object.keys(changes).forEach(key => {
+                if (key in this.defaults && !(page && this.privateKeys.includes(key))) {
+                    const { newValue } = changes[key];
+                    updated[key] = newValue === undefined ? this.defaults[key] : newValue;
+                }
+            });
+
+            if (Object.keys(updated).length > 0) {
+                callback(updated);
+            }
+        });
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * OneTap Reply Templates
+ * Placeholder rendering and selection for the snippet library
+ *
+ * Syntax:
+ *   {{title}}, {{platform}}, {{sentiment}}, {{emotion}}, {{author.name}}, {{author.firstName}}
+ *   (author is the commenter being answered when replying inside a thread)
+ *   {{topic1}} ... {{topic5}}, {{topic1.capitalized}}, {{topics}}
+ *   {{topic1|fallback text}}                   used when the value is empty
+ *   {{#if sentiment=positive}}...{{else}}...{{/if}}, {{#if emotion=grief}}...{{/if}}
+ *   {{#if topic1}}...{{/if}}, {{#if platform!=LinkedIn}}...{{/if}}
+ */
+
+const OneTapTemplates = {
+    /**
+     * Render a template against the extracted page context
+     */
+    render(template, context) {
+        const variables = this.buildVariables(context);
+        const blockPattern = /\{\{#if\s+([^}]+?)\s*\}\}((?:(?!\{\{#if)[\s\S])*?)\{\{\/if\}\}/;
+        let output = template;
+        let match;
+
+        // Resolve innermost blocks first so conditionals can nest
+        while ((match = blockPattern.exec(output)) !== null) {
+            const [whole, condition, body] = match;
+            const [thenPart, elsePart = ''] = body.split('{{else}}');
+            const replacement = this.evaluateCondition(condition, variables) ? thenPart : elsePart;
+            output = output.slice(0, match.index) + replacement + output.slice(match.index + whole.length);
+        }
+
+        output = output.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (placeholder, key, fallback = '') => {
+            return variables[key] || fallback;
+        });
+
+        return output.replace(/[ \t]{2,}/g, ' ').trim();
+    },
+
+    /**
+     * Flatten the page context into placeholder values
+     */
+    buildVariables(context) {
+        const postAuthor = typeof context.authorInfo === 'string'
+            ? context.authorInfo
+            : context.authorInfo?.name || '';
+        const authorName = (context.replyTo?.author || postAuthor).replace(/^@/, '');
+        const topics = context.topics || [];
+        const capitalize = (text) => (text ? text.charAt(0).toUpperCase() + text.slice(1) : '');
+
+        const variables = {
+            title: context.postTitle || '',
+            platform: context.platform || '',
+            sentiment: context.sentiment || 'neutral',
+            emotion: context.emotion || '',
+            topics: topics.join(', '),
+            'author.name': authorName,
+            'author.firstName': authorName.split(' ')[0] || ''
+        };
+
+        for (let i = 0; i < 5; i++) {
+            variables[`topic${i + 1}`] = topics[i] || '';
+            variables[`topic${i + 1}.capitalized`] = capitalize(topics[i]);
+        }
+
+        // Aliases from the original tone template syntax
+        variables.topic = variables.topic1;
+        variables.author = variables['author.firstName'];
+
+        return variables;
+    },
+
+    /**
+     * Evaluate "key", "key=value" or "key!=value" (case-insensitive)
+     */
+    evaluateCondition(condition, variables) {
+        const comparison = condition.match(/^([\w.]+)\s*(!?=)\s*(.+)$/);
+        if (!comparison) {
+            return Boolean(variables[condition.trim()]);
+        }
+
+        const [, key, operator, expected] = comparison;
+        const equal = String(variables[key] || '').toLowerCase() === expected.trim().toLowerCase();
+        return operator === '=' ? equal : !equal;
+    },
+
+    /**
+     * Snippets available on a platform
+     */
+    forPlatform(snippets, platformId) {
+        return snippets.filter(snippet => !(snippet.hiddenOn || []).includes(platformId));
+    },
+
+    /**
+     * Snippets written in a language (untagged ones count as English),
+     * or every snippet when none match so there is always something to offer
+     */
+    forLanguage(snippets, language) {
+        const matching = snippets.filter(snippet => (snippet.language || 'en') === language);
+        return matching.length > 0 ? matching : snippets;
+    },
+
+    /**
+     * Pick up to count distinct snippets at random, preferring ones not in usedIds.
+     * usedIds is updated so repeated calls cycle through the whole pool before repeating.
+     */
+    pick(snippets, count, usedIds = new Set()) {
+        let unused = snippets.filter(snippet => !usedIds.has(snippet.id));
+
+        if (unused.length === 0) {
+            snippets.forEach(snippet => usedIds.delete(snippet.id));
+            unused = [...snippets];
+        }
+
+        const used = snippets.filter(snippet => !unused.includes(snippet));
+        const chosen = [...this.shuffle(unused), ...this.shuffle(used)].slice(0, count);
+
+        chosen.forEach(snippet => usedIds.add(snippet.id));
+        return chosen;
+    },
+
+    /**
+     * Fisher-Yates shuffle into a new array
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Load the extension's classic scripts into one shared context, the way the browser does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Run scripts in order and return the named top-level constants they declare
+ */
+function loadScripts(files, names) {
+    const context = vm.createContext({ console });
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file }));
+
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadScripts };
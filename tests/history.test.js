@@ -0,0 +1,23 @@
+/**
+ * History export tests. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { OneTapHistory } = loadScripts(['history.js'], ['OneTapHistory']);
+
+test('quotes CSV cells with commas, quotes and line breaks', () => {
+    const csv = OneTapHistory.toCSV([{ finalText: 'Nice, "really"\nnice' }]);
+
+    assert.ok(csv.includes('"Nice, ""really""\nnice"'));
+});
+
+test('keeps CSV cells that look like formulas as text', () => {
+    const csv = OneTapHistory.toCSV([{ originalText: '=1+1', finalText: '@jane great point' }]);
+    const row = csv.split('\r\n')[1];
+
+    assert.ok(row.includes("'=1+1"));
+    assert.ok(row.includes("'@jane great point"));
+});
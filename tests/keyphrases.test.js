@@ -0,0 +1,24 @@
+/**
+ * Keyphrase extraction tests. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { OneTapKeyphrases } = loadScripts(['language.js', 'keyphrases.js'], ['OneTapKeyphrases']);
+
+test('keeps hashtags and @mentions', () => {
+    const topics = [...OneTapKeyphrases.extract('Loving the new #react docs, thanks @dan_abramov')];
+
+    assert.ok(topics.includes('#react'));
+    assert.ok(topics.includes('@dan_abramov'));
+});
+
+test('does not read an email address as a mention', () => {
+    const topics = [...OneTapKeyphrases.extract('Thanks @openai and @jane. Ping bob@example.com')];
+
+    assert.ok(topics.includes('@openai'));
+    assert.ok(topics.includes('@jane'));
+    assert.ok(!topics.some(topic => topic.includes('example')), `unexpected topics: ${topics.join(', ')}`);
+});
@@ -0,0 +1,34 @@
+/**
+ * Parser tests. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { OneTapReplyParser } = loadScripts(['parser.js'], ['OneTapReplyParser']);
+
+test('rejects a reply that only echoes a prompt line', () => {
+    const prompt = 'Generate 3 casual replies for this YouTube video.\n\nTitle: "Why React hooks changed everything"';
+    const replies = OneTapReplyParser.parse('["Why React hooks changed everything!"]', { prompt });
+
+    assert.deepStrictEqual([...replies], []);
+});
+
+test('keeps a grammar fix that only changes case and punctuation of the quoted reply', () => {
+    const original = 'this is a great video about react hooks i loved it';
+    const prompt = `Rewrite a casual reply for this YouTube video.\n\nThe reply to rewrite:\n"${original}"\n\nRewrite it so that:\n- Fix grammar`;
+    const fixed = 'This is a great video about React hooks, I loved it!';
+
+    assert.deepStrictEqual([...OneTapReplyParser.parse(JSON.stringify([fixed]), { prompt })], []);
+    assert.deepStrictEqual([...OneTapReplyParser.parse(JSON.stringify([fixed]), { prompt, userText: [original] })], [fixed]);
+});
+
+test('keeps a polished draft that only changes case and punctuation', () => {
+    const draft = 'thanks for sharing this the part about caching was really useful';
+    const prompt = `Generate 3 casual replies for this YouTube video.\n\nThe user already wrote this draft:\n"${draft}"\n` +
+        'Each reply is a polished version of it: fix grammar and flow, keep their meaning, voice and language.\n';
+    const polished = 'Thanks for sharing this! The part about caching was really useful.';
+
+    assert.deepStrictEqual([...OneTapReplyParser.parse(JSON.stringify([polished]), { prompt, userText: [draft] })], [polished]);
+});
@@ -0,0 +1,140 @@
+/**
+ * OneTap Reply Transcript
+ * Video timestamps, chapters and picking the transcript passages that fit in a prompt
+ */
+
+const OneTapTranscript = {
+    // Rough prompt budget for transcript excerpts, in tokens
+    tokenBudget: 600,
+
+    // Consecutive transcript lines are merged into passages of about this many seconds
+    passageLength: 30,
+
+    /**
+     * "1:02:03" or "3:42" → seconds, null when the text is not a timestamp
+     */
+    parseTimestamp(text) {
+        const match = String(text).trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+
+        const [, hours = 0, minutes, seconds] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    },
+
+    /**
+     * Seconds → "3:42", or "1:02:03" past an hour
+     */
+    formatTimestamp(totalSeconds) {
+        const seconds = Math.max(0, Math.floor(totalSeconds));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+            : `${minutes}:${pad(seconds % 60)}`;
+    },
+
+    /**
+     * Chapters listed in a video description as "0:00 Intro" lines. Like YouTube,
+     * the list only counts when it starts at 0:00 and has at least two entries.
+     */
+    parseChapters(description) {
+        const chapters = [];
+
+        (description || '').split('\n').forEach(line => {
+            const match = line.trim().match(/^\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*[-–—:|]?\s*(.+)$/);
+            const start = match ? this.parseTimestamp(match[1]) : null;
+            if (start !== null) {
+                chapters.push({ start, title: match[2].trim() });
+            }
+        });
+
+        chapters.sort((a, b) => a.start - b.start);
+        return chapters.length >= 2 && chapters[0].start === 0 ? chapters : [];
+    },
+
+    /**
+     * The chapter a moment falls in, with the time it ends (Infinity for the last one)
+     */
+    chapterAt(chapters, seconds) {
+        let index = -1;
+        chapters.forEach((chapter, i) => {
+            if (chapter.start <= seconds) index = i;
+        });
+        if (index === -1) return null;
+
+        const next = chapters[index + 1];
+        return { ...chapters[index], end: next ? next.start : Infinity };
+    },
+
+    /**
+     * Approximate token count, about four characters per token
+     */
+    estimateTokens(text) {
+        return Math.ceil(text.length / 4);
+    },
+
+    /**
+     * Merge transcript lines into passages of roughly passageLength seconds
+     */
+    toPassages(segments) {
+        const passages = [];
+
+        segments.forEach(segment => {
+            const last = passages[passages.length - 1];
+            if (last && segment.start - last.start < this.passageLength) {
+                last.text += ` ${segment.text}`;
+            } else {
+                passages.push({ start: segment.start, text: segment.text });
+            }
+        });
+
+        return passages;
+    },
+
+    /**
+     * Transcript passages that fit the token budget, in time order. Passages inside
+     * the anchor range come first, then those mentioning the keywords; with neither,
+     * passages are spread evenly across the video.
+     */
+    select(segments, { budget = this.tokenBudget, keywords = [], range = null } = {}) {
+        const passages = this.toPassages(segments);
+        if (passages.length === 0) return [];
+
+        const cost = (passage) => this.estimateTokens(passage.text) + 3;
+        const keywordSet = new Set(keywords.map(keyword => keyword.toLowerCase()));
+        const inRange = (passage) => range && passage.start >= range.start && passage.start < range.end;
+
+        const scored = passages.map((passage, index) => {
+            const hits = OneTapLanguage.tokenize(passage.text).filter(word => keywordSet.has(word)).length;
+            return { passage, index, score: (inRange(passage) ? 100 : 0) + hits };
+        });
+
+        let ordered;
+        if (scored.some(entry => entry.score > 0)) {
+            // Ties keep time order, so an anchored chapter is read from its start
+            ordered = [...scored].sort((a, b) => b.score - a.score || a.index - b.index);
+        } else {
+            const averageCost = passages.reduce((sum, passage) => sum + cost(passage), 0) / passages.length;
+            const fitting = Math.max(1, Math.floor(budget / averageCost));
+            const step = Math.max(1, passages.length / fitting);
+            ordered = [];
+            for (let i = 0; i < passages.length && ordered.length < fitting; i += step) {
+                ordered.push(scored[Math.floor(i)]);
+            }
+        }
+
+        const chosen = [];
+        let used = 0;
+        for (const { passage, index } of ordered) {
+            if (used + cost(passage) > budget) continue;
+            chosen.push({ ...passage, index });
+            used += cost(passage);
+        }
+
+        return chosen
+            .sort((a, b) => a.index - b.index)
+            .map(({ start, text }) => ({ start, text }));
+    }
+};